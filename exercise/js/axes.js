@@ -0,0 +1,140 @@
+/**
+ * Sequence Stratigraphy Exam - Axis Transform Module
+ * Maps between canvas pixels and real-world units:
+ * km / m on the cross-section, km / relative time on the Wheeler diagram.
+ */
+
+class AxisTransform {
+    /**
+     * @param {Object} options
+     * @param {number} options.xMin - World value at the left edge of the plot area
+     * @param {number} options.xMax - World value at the right edge of the plot area
+     * @param {number} options.yMin - World value at the top (or bottom if invertY) of the plot area
+     * @param {number} options.yMax - World value at the bottom (or top if invertY) of the plot area
+     * @param {Object} options.plotArea - { left, top, width, height } in canvas pixels
+     * @param {boolean} options.invertY - true if world Y grows upwards (Wheeler time axis)
+     */
+    constructor(options = {}) {
+        this.xMin = options.xMin ?? 0;
+        this.xMax = options.xMax ?? 150;
+        this.yMin = options.yMin ?? 0;
+        this.yMax = options.yMax ?? 700;
+        this.plotArea = options.plotArea;
+        this.invertY = options.invertY || false;
+
+        // Labels for readouts and exports
+        this.xLabel = options.xLabel || 'Distance';
+        this.xUnit = options.xUnit ?? 'km';
+        this.yLabel = options.yLabel || 'Depth';
+        this.yUnit = options.yUnit ?? 'm';
+    }
+
+    /**
+     * Convert a canvas X coordinate to world units
+     */
+    xToWorld(x) {
+        const p = this.plotArea;
+        return this.xMin + ((x - p.left) / p.width) * (this.xMax - this.xMin);
+    }
+
+    /**
+     * Convert a canvas Y coordinate to world units
+     */
+    yToWorld(y) {
+        const p = this.plotArea;
+        const ratio = this.invertY
+            ? (p.top + p.height - y) / p.height
+            : (y - p.top) / p.height;
+        return this.yMin + ratio * (this.yMax - this.yMin);
+    }
+
+    /**
+     * Convert a world X value to canvas pixels
+     */
+    xToCanvas(x) {
+        const p = this.plotArea;
+        return p.left + ((x - this.xMin) / (this.xMax - this.xMin)) * p.width;
+    }
+
+    /**
+     * Convert a world Y value to canvas pixels
+     */
+    yToCanvas(y) {
+        const p = this.plotArea;
+        const ratio = (y - this.yMin) / (this.yMax - this.yMin);
+        return this.invertY
+            ? p.top + p.height - ratio * p.height
+            : p.top + ratio * p.height;
+    }
+
+    /**
+     * Convert a canvas point to world units
+     */
+    toWorld(pos) {
+        return { x: this.xToWorld(pos.x), y: this.yToWorld(pos.y) };
+    }
+
+    /**
+     * Convert a world point to canvas pixels
+     */
+    toCanvas(pos) {
+        return { x: this.xToCanvas(pos.x), y: this.yToCanvas(pos.y) };
+    }
+
+    /**
+     * Copy an element with all geometry converted to world units.
+     * Presentation sizes (width, size, fontSize) stay in pixels.
+     */
+    elementToWorld(element) {
+        return this.convertElement(element, (x) => this.xToWorld(x), (y) => this.yToWorld(y));
+    }
+
+    /**
+     * Copy an element with all geometry converted to canvas pixels
+     */
+    elementToCanvas(element) {
+        return this.convertElement(element, (x) => this.xToCanvas(x), (y) => this.yToCanvas(y));
+    }
+
+    /**
+     * Copy an element, converting its X and Y geometry keys
+     */
+    convertElement(element, convertX, convertY) {
+        const copy = JSON.parse(JSON.stringify(element));
+
+        ['x', 'x1', 'x2'].forEach(key => {
+            if (typeof copy[key] === 'number') copy[key] = convertX(copy[key]);
+        });
+        ['y', 'y1', 'y2'].forEach(key => {
+            if (typeof copy[key] === 'number') copy[key] = convertY(copy[key]);
+        });
+        if (Array.isArray(copy.points)) {
+            copy.points = copy.points.map(p => ({ x: convertX(p.x), y: convertY(p.y) }));
+        }
+
+        return copy;
+    }
+
+    /**
+     * Describe the axes (stored alongside world-unit geometry)
+     */
+    describe() {
+        return {
+            x: { label: this.xLabel, unit: this.xUnit, min: this.xMin, max: this.xMax },
+            y: { label: this.yLabel, unit: this.yUnit, min: this.yMin, max: this.yMax, increasesUpward: this.invertY }
+        };
+    }
+
+    /**
+     * Format a world position for the cursor readout
+     */
+    format(world) {
+        const yText = this.yUnit ? `${world.y.toFixed(0)} ${this.yUnit}` : world.y.toFixed(1);
+        return `${this.xLabel}: ${world.x.toFixed(2)} ${this.xUnit} | ${this.yLabel}: ${yText}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AxisTransform;
+}
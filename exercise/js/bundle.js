@@ -0,0 +1,294 @@
+/**
+ * Sequence Stratigraphy Exam - Submission Bundle Module
+ * Packs the exported files (PDF report, JSON data) into one uncompressed
+ * ZIP archive with a checksum manifest, so graders can verify that the
+ * files belong together and were not damaged. The checksums are not
+ * signed: someone who edits a file can update them too.
+ */
+
+const SubmissionBundle = {
+    FORMAT: 'seqstrat-submission-bundle',
+    VERSION: 1,
+    MANIFEST_NAME: 'manifest.json',
+
+    CRC_TABLE: null,
+
+    /**
+     * Build the ZIP archive with a manifest
+     * @param {Array} files - [{ name, data: Blob|string|Uint8Array }]
+     * @param {Object} info - Extra manifest fields (e.g. studentId)
+     * @returns {Promise<Blob>}
+     */
+    async create(files, info = {}) {
+        const entries = [];
+        for (const file of files) {
+            entries.push({ name: file.name, bytes: await this.toBytes(file.data) });
+        }
+
+        const manifest = await this.createManifest(entries, info);
+        entries.push({
+            name: this.MANIFEST_NAME,
+            bytes: this.toBytes(JSON.stringify(manifest, null, 2))
+        });
+
+        return this.zip(entries);
+    },
+
+    /**
+     * Open a ZIP written by create() and check it against its manifest
+     * @param {Uint8Array} bytes
+     * @returns {Promise<Object>} { entries, manifest, problems }
+     */
+    async read(bytes) {
+        let entries;
+        try {
+            entries = this.unzip(bytes);
+        } catch (e) {
+            return { entries: [], manifest: null, problems: [e.message] };
+        }
+
+        const manifestEntry = entries.find(e => e.name === this.MANIFEST_NAME);
+        if (!manifestEntry) {
+            return { entries: entries, manifest: null, problems: ['The ZIP has no manifest'] };
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(new TextDecoder().decode(manifestEntry.bytes));
+        } catch (e) {
+            return { entries: entries, manifest: null, problems: ['The manifest is not valid JSON'] };
+        }
+
+        return { entries: entries, manifest: manifest, problems: await this.verify(manifest, entries) };
+    },
+
+    /**
+     * Manifest listing every file with its size and checksum
+     */
+    async createManifest(entries, info) {
+        const algorithm = this.preferredAlgorithm();
+        const files = [];
+        for (const entry of entries) {
+            files.push({
+                name: entry.name,
+                size: entry.bytes.length,
+                checksum: await this.checksum(entry.bytes, algorithm)
+            });
+        }
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            created: new Date().toISOString(),
+            ...info,
+            algorithm: algorithm,
+            files: files
+        };
+    },
+
+    /**
+     * Check files against a manifest
+     * @param {Object} manifest
+     * @param {Array} entries - [{ name, bytes: Uint8Array }]
+     * @returns {Promise<Array>} Problems (empty if all files match)
+     */
+    async verify(manifest, entries) {
+        if (!manifest || manifest.format !== this.FORMAT || !Array.isArray(manifest.files)) {
+            return ['Not a submission manifest'];
+        }
+
+        const problems = [];
+        for (const listed of manifest.files) {
+            const entry = entries.find(e => e.name === listed.name);
+            if (!entry) {
+                problems.push(`${listed.name} is missing`);
+                continue;
+            }
+            let checksum;
+            try {
+                checksum = await this.checksum(entry.bytes, manifest.algorithm);
+            } catch (e) {
+                problems.push(e.message);
+                break;
+            }
+            if (entry.bytes.length !== listed.size || checksum !== listed.checksum) {
+                problems.push(`${listed.name} does not match its checksum`);
+            }
+        }
+        return problems;
+    },
+
+    /**
+     * SHA-256 where the browser offers it (Web Crypto), CRC-32 otherwise
+     */
+    preferredAlgorithm() {
+        return typeof crypto !== 'undefined' && crypto.subtle && crypto.subtle.digest ? 'SHA-256' : 'CRC-32';
+    },
+
+    /**
+     * Hex checksum of some bytes
+     * @param {Uint8Array} bytes
+     * @param {string} algorithm - 'SHA-256' or 'CRC-32'
+     * @returns {Promise<string>}
+     */
+    async checksum(bytes, algorithm) {
+        if (algorithm === 'CRC-32') return this.crc32Hex(bytes);
+        if (algorithm !== 'SHA-256') throw new Error(`Unknown checksum algorithm "${algorithm}"`);
+        if (this.preferredAlgorithm() !== 'SHA-256') {
+            throw new Error('This browser cannot check SHA-256 checksums (open the page over https or from a local file)');
+        }
+        return this.sha256(bytes);
+    },
+
+    async sha256(bytes) {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    crc32(bytes) {
+        if (!this.CRC_TABLE) {
+            this.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    crc32Hex(bytes) {
+        return this.crc32(bytes).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Blob, string or byte array as bytes (strings are UTF-8 encoded).
+     * Returns a promise for Blobs.
+     */
+    toBytes(data) {
+        if (data instanceof Uint8Array) return data;
+        if (typeof data === 'string') return new TextEncoder().encode(data);
+        if (data && typeof data.arrayBuffer === 'function') {
+            return data.arrayBuffer().then(buffer => new Uint8Array(buffer));
+        }
+        // Blobs without arrayBuffer() (older browsers)
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(new Uint8Array(reader.result));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(data);
+        });
+    },
+
+    isZip(bytes) {
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+    },
+
+    /**
+     * Read the files of a stored (uncompressed) ZIP archive, as written by zip()
+     * @param {Uint8Array} bytes
+     * @returns {Array} [{ name, bytes }]
+     */
+    unzip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+        const entries = [];
+        let offset = 0;
+
+        while (offset + 30 <= bytes.length && view.getUint32(offset, true) === 0x04034B50) {
+            const flags = view.getUint16(offset + 6, true);
+            const method = view.getUint16(offset + 8, true);
+            const size = view.getUint32(offset + 18, true);
+            const nameLength = view.getUint16(offset + 26, true);
+            const extraLength = view.getUint16(offset + 28, true);
+            if (method !== 0 || (flags & 0x0008)) {
+                throw new Error('The ZIP was repacked or compressed after export; use the original file');
+            }
+
+            const start = offset + 30 + nameLength + extraLength;
+            if (start + size > bytes.length) throw new Error('The ZIP file is incomplete');
+            entries.push({
+                name: decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength)),
+                bytes: bytes.subarray(start, start + size)
+            });
+            offset = start + size;
+        }
+
+        if (entries.length === 0) throw new Error('Not a ZIP file');
+        return entries;
+    },
+
+    /**
+     * Write a ZIP archive (stored, no compression - PDF and PNG data are
+     * compressed already)
+     * @param {Array} entries - [{ name, bytes: Uint8Array }]
+     * @returns {Blob}
+     */
+    zip(entries) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        entries.forEach(entry => {
+            const name = encoder.encode(entry.name);
+            const crc = this.crc32(entry.bytes);
+            const size = entry.bytes.length;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);  // local file header signature
+            local.setUint16(4, 20, true);          // version needed
+            local.setUint16(6, 0x0800, true);      // flags: UTF-8 file name
+            local.setUint16(8, 0, true);           // method: stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);       // compressed size
+            local.setUint32(22, size, true);       // uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);          // extra field length
+            parts.push(local, name, entry.bytes);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true); // central directory signature
+            header.setUint16(4, 20, true);         // version made by
+            header.setUint16(6, 20, true);         // version needed
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, dosTime, true);
+            header.setUint16(14, dosDate, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, size, true);
+            header.setUint32(24, size, true);
+            header.setUint16(28, name.length, true);
+            header.setUint32(42, offset, true);    // offset of the local header
+            central.push(header, name);
+
+            offset += 30 + name.length + size;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);        // end of central directory signature
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubmissionBundle;
+}
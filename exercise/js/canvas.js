@@ -13,10 +13,22 @@ class DrawingCanvas {
         this.ctx = this.canvas.getContext('2d');
         this.canvasId = canvasId;
 
+        // Persistent element IDs ("<prefix>-<n>"), used to link elements across canvases
+        this.idPrefix = options.idPrefix || canvasId;
+        this.nextId = 1;
+
         // Options
         this.backgroundCanvasId = options.backgroundCanvasId || null;
         this.isWheelerDiagram = options.isWheelerDiagram || false;
 
+        // Zoom/pan view shared with the background canvas (optional)
+        this.viewport = options.viewport || null;
+        this.panMode = false;
+        this.panState = null;
+
+        // Pixel <-> world-unit mapping (km/m or km/time); elements are saved in world units
+        this.axes = options.axes || null;
+
         // Drawing state
         this.isDrawing = false;
         this.currentTool = 'line';
@@ -28,13 +40,19 @@ class DrawingCanvas {
         this.redoStack = [];
         this.maxHistory = 50;
 
+        // Shared application-level history (optional); replaces the stacks above
+        this.history = options.history || null;
+
         // Active element being drawn
         this.activeElement = null;
 
-        // Selection state for eraser
+        // Selection state for eraser and select tool
         this.selectedElement = null;
         this.hoverElement = null;
 
+        // Select tool drag state (whole-element move or single vertex move)
+        this.dragState = null;
+
         // Text input state
         this.textInput = null;
 
@@ -46,6 +64,18 @@ class DrawingCanvas {
         this.terminationCounter = options.terminationCounter || { count: 0, availableNumbers: [] };
         this.onTerminationPlaced = options.onTerminationPlaced || (() => {});
 
+        // Termination (lapout) type and its half-arrow symbol.
+        // angle = direction the arrow points (canvas radians, basin to the right),
+        // barb = side of the half-arrow head (-1 above, 1 below the shaft)
+        this.terminationType = 'onlap';
+        this.terminationTypes = {
+            'onlap':      { label: 'Onlap',      abbreviation: 'OL', angle: Math.PI * 1.1,  barb: 1 },
+            'downlap':    { label: 'Downlap',    abbreviation: 'DL', angle: Math.PI * 0.1,  barb: 1 },
+            'toplap':     { label: 'Toplap',     abbreviation: 'TL', angle: Math.PI * 1.15, barb: -1 },
+            'truncation': { label: 'Truncation', abbreviation: 'TR', angle: Math.PI * 1.4,  barb: -1 },
+            'offlap':     { label: 'Offlap',     abbreviation: 'OF', angle: Math.PI * 1.9,  barb: -1 }
+        };
+
         // Marker (rollover) callback for projecting to Wheeler diagram
         this.onMarkerPlaced = options.onMarkerPlaced || (() => {});
 
@@ -73,12 +103,38 @@ class DrawingCanvas {
             'RST': '#90EE90'    // Regressive Systems Tract - Light Green
         };
 
+        // Wheeler gap regions (hatched by type)
+        this.regionType = null;
+        this.regionStyles = {
+            'hiatus': { label: 'Hiatus', color: '#808080', hatch: 'vertical' },
+            'erosion': { label: 'Erosional vacuity', color: '#8B4513', hatch: 'diagonal' }
+        };
+
+        // Sea-level panel curves (sketched against the Wheeler time axis)
+        this.curveType = null;
+        this.curveStyles = {
+            'seaLevel': { label: 'RSL', color: '#1E90FF' },
+            'supply': { label: 'Supply', color: '#DAA520' }
+        };
+
+        // Time (world y) marked by a horizontal crosshair, shared between panels
+        this.crosshairY = null;
+
+        // Elements pointed out by the consistency checker
+        this.highlightedElements = [];
+
+        // Extra drawing on top of the elements (e.g. reference curves)
+        this.drawOverlay = options.drawOverlay || null;
+
         // Strata numbering counter (shared across canvases)
         this.strataCounter = options.strataCounter || { count: 0 };
 
         // Callbacks
         this.onStateChange = options.onStateChange || (() => {});
         this.onElementAdd = options.onElementAdd || (() => {});
+        this.onCursorMove = options.onCursorMove || (() => {});
+        this.onElementModified = options.onElementModified || (() => {});
+        this.onElementsRemoved = options.onElementsRemoved || (() => {});
 
         // Bind event handlers
         this.handleMouseDown = this.handleMouseDown.bind(this);
@@ -86,6 +142,7 @@ class DrawingCanvas {
         this.handleMouseUp = this.handleMouseUp.bind(this);
         this.handleDoubleClick = this.handleDoubleClick.bind(this);
         this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
 
         // Initialize
         this.init();
@@ -104,6 +161,8 @@ class DrawingCanvas {
         this.canvas.addEventListener('mouseup', this.handleMouseUp);
         this.canvas.addEventListener('dblclick', this.handleDoubleClick);
         this.canvas.addEventListener('mouseleave', this.handleMouseUp);
+        this.canvas.addEventListener('mouseleave', () => this.onCursorMove(null));
+        this.canvas.addEventListener('wheel', this.handleWheel, { passive: false });
 
         // Touch support
         this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
@@ -116,6 +175,12 @@ class DrawingCanvas {
         // Prevent context menu on canvas
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
 
+        // Redraw whenever the shared view is zoomed or panned
+        if (this.viewport) {
+            this.viewport.setSize(this.canvas.width, this.canvas.height);
+            this.viewport.onChange(() => this.redraw());
+        }
+
         // Initial draw
         this.redraw();
     }
@@ -150,9 +215,19 @@ class DrawingCanvas {
     }
 
     /**
-     * Get mouse position relative to canvas
+     * Get mouse position relative to canvas, in image space.
+     * Image space is independent of zoom/pan, so stored element coordinates
+     * stay valid at every zoom level.
      */
     getMousePos(e) {
+        const pos = this.getCanvasPos(e);
+        return this.viewport ? this.viewport.toImage(pos) : pos;
+    }
+
+    /**
+     * Get mouse position in canvas pixels (screen view, before zoom/pan is removed)
+     */
+    getCanvasPos(e) {
         const rect = this.canvas.getBoundingClientRect();
         const scaleX = this.canvas.width / rect.width;
         const scaleY = this.canvas.height / rect.height;
@@ -163,10 +238,32 @@ class DrawingCanvas {
         };
     }
 
+    /**
+     * Current zoom factor (1 when there is no viewport)
+     */
+    getZoom() {
+        return this.viewport ? this.viewport.scale : 1;
+    }
+
+    /**
+     * Convert a screen-pixel size to image space, so hit areas, handles and
+     * traced strokes keep a constant on-screen size while zoomed
+     */
+    px(size) {
+        return size / this.getZoom();
+    }
+
     /**
      * Handle mouse down
      */
     handleMouseDown(e) {
+        // Middle button, or left button while space is held, pans the view
+        if (this.viewport && (e.button === 1 || (e.button === 0 && this.panMode))) {
+            e.preventDefault();
+            this.startPan(e);
+            return;
+        }
+
         if (e.button !== 0) return; // Only left click
 
         const pos = this.getMousePos(e);
@@ -181,6 +278,9 @@ class DrawingCanvas {
             case 'marker':
                 this.placeMarker(pos);
                 break;
+            case 'trajectory':
+                this.addTrajectoryPoint(pos);
+                break;
             case 'text':
                 this.startText(pos);
                 break;
@@ -202,6 +302,15 @@ class DrawingCanvas {
             case 'systemTract':
                 this.addSystemTractPoint(pos);
                 break;
+            case 'region':
+                this.addRegionPoint(pos);
+                break;
+            case 'curve':
+                this.addCurvePoint(pos);
+                break;
+            case 'select':
+                this.handleSelectDown(pos);
+                break;
         }
     }
 
@@ -209,9 +318,17 @@ class DrawingCanvas {
      * Handle mouse move
      */
     handleMouseMove(e) {
+        if (this.panState) {
+            this.updatePan(e);
+            return;
+        }
+
         const pos = this.getMousePos(e);
         this.currentMousePos = pos;
 
+        // Live cursor readout in world units
+        this.onCursorMove(this.axes ? this.axes.toWorld(pos) : null);
+
         // Update cursor for eraser hover
         if (this.currentTool === 'eraser') {
             const element = this.findElementAt(pos);
@@ -222,6 +339,15 @@ class DrawingCanvas {
             }
         }
 
+        // Select tool: drag the selection or update the hover cursor
+        if (this.currentTool === 'select') {
+            if (this.dragState) {
+                this.updateSelectDrag(pos);
+            } else {
+                this.updateSelectCursor(pos);
+            }
+        }
+
         // Handle active drawing
         if (this.isDrawing) {
             switch (this.currentTool) {
@@ -232,11 +358,16 @@ class DrawingCanvas {
                     this.updatePolygon(pos);
                     break;
                 case 'surface':
+                case 'curve':
                     this.updateLine(pos);
                     break;
                 case 'systemTract':
+                case 'region':
                     this.updatePolygon(pos);
                     break;
+                case 'trajectory':
+                    this.updateLine(pos);
+                    break;
             }
         }
     }
@@ -245,8 +376,16 @@ class DrawingCanvas {
      * Handle mouse up
      */
     handleMouseUp(e) {
+        if (this.panState) {
+            this.panState = null;
+            return;
+        }
+
         // Line tool doesn't end on mouse up - it ends on double click
         // Polygon tool doesn't end on mouse up - it ends when closing the shape
+        if (this.currentTool === 'select' && this.dragState) {
+            this.finishSelectDrag();
+        }
     }
 
     /**
@@ -263,6 +402,14 @@ class DrawingCanvas {
             this.finishSurface();
         } else if (this.currentTool === 'systemTract' && this.isDrawing) {
             this.finishSystemTract();
+        } else if (this.currentTool === 'region' && this.isDrawing) {
+            this.finishRegion();
+        } else if (this.currentTool === 'curve' && this.isDrawing) {
+            this.finishCurve();
+        } else if (this.currentTool === 'trajectory' && this.isDrawing) {
+            this.finishTrajectory();
+        } else if (this.currentTool === 'select') {
+            this.handleSelectDoubleClick(pos);
         }
     }
 
@@ -289,10 +436,54 @@ class DrawingCanvas {
             this.textInput.remove();
             this.textInput = null;
         }
+        // Remove trajectory linking hints
+        if (this.currentTool === 'trajectory') {
+            this.hideTerminationHint();
+        }
         // Cancel any in-progress termination
         this.cancelTermination();
         // Cancel any in-progress drilling
         this.cancelDrilling();
+        // Abort any in-progress select drag (restores the original geometry)
+        this.cancelSelectDrag();
+    }
+
+    // ==================== ZOOM / PAN ====================
+
+    /**
+     * Zoom around the cursor with the mouse wheel
+     */
+    handleWheel(e) {
+        if (!this.viewport) return;
+        e.preventDefault();
+
+        const factor = Math.exp(-e.deltaY * 0.0015);
+        this.viewport.zoomAt(this.getCanvasPos(e), factor);
+    }
+
+    /**
+     * Enable/disable pan mode (space bar held)
+     */
+    setPanMode(enabled) {
+        this.panMode = enabled && !!this.viewport;
+        this.canvas.classList.toggle('pan-mode', this.panMode);
+        if (!this.panMode) this.panState = null;
+    }
+
+    /**
+     * Start dragging the view
+     */
+    startPan(e) {
+        this.panState = { last: this.getCanvasPos(e) };
+    }
+
+    /**
+     * Drag the view by the mouse movement since the last event
+     */
+    updatePan(e) {
+        const pos = this.getCanvasPos(e);
+        this.viewport.panBy(pos.x - this.panState.last.x, pos.y - this.panState.last.y);
+        this.panState.last = pos;
     }
 
     // ==================== LINE TOOL ====================
@@ -328,7 +519,7 @@ class DrawingCanvas {
 
         this.ctx.beginPath();
         this.ctx.strokeStyle = this.currentColor;
-        this.ctx.lineWidth = this.lineWidth;
+        this.ctx.lineWidth = this.px(['surface', 'curve'].includes(this.currentTool) ? 3 : this.lineWidth);
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
 
@@ -346,7 +537,7 @@ class DrawingCanvas {
         this.points.forEach(point => {
             this.ctx.beginPath();
             this.ctx.fillStyle = this.currentColor;
-            this.ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+            this.ctx.arc(point.x, point.y, this.px(4), 0, Math.PI * 2);
             this.ctx.fill();
         });
     }
@@ -406,7 +597,7 @@ class DrawingCanvas {
             const start = this.points[0];
             const dist = Math.hypot(pos.x - start.x, pos.y - start.y);
 
-            if (this.points.length >= 3 && dist < 15) {
+            if (this.points.length >= 3 && dist < this.px(15)) {
                 this.finishPolygon();
             } else {
                 this.points.push(pos);
@@ -446,14 +637,14 @@ class DrawingCanvas {
 
         // Stroke outline
         this.ctx.strokeStyle = this.currentColor;
-        this.ctx.lineWidth = 2;
+        this.ctx.lineWidth = this.px(2);
         this.ctx.stroke();
 
         // Draw points
         this.points.forEach((point, index) => {
             this.ctx.beginPath();
             this.ctx.fillStyle = index === 0 ? '#00FF00' : this.currentColor;
-            this.ctx.arc(point.x, point.y, index === 0 ? 6 : 4, 0, Math.PI * 2);
+            this.ctx.arc(point.x, point.y, this.px(index === 0 ? 6 : 4), 0, Math.PI * 2);
             this.ctx.fill();
         });
     }
@@ -500,6 +691,7 @@ class DrawingCanvas {
 
         // Trigger callback to project rollover to Wheeler diagram
         this.onMarkerPlaced({
+            elementId: element.id,
             x: pos.x,
             y: pos.y,
             color: this.currentColor,
@@ -508,6 +700,91 @@ class DrawingCanvas {
         });
     }
 
+    // ==================== SHORELINE TRAJECTORY TOOL ====================
+
+    /**
+     * Find the rollover marker under the cursor
+     */
+    findMarkerAt(pos) {
+        for (let i = this.elements.length - 1; i >= 0; i--) {
+            const element = this.elements[i];
+            if (element.type === 'marker' &&
+                Math.hypot(pos.x - element.x, pos.y - element.y) < this.px((element.size || 12) + 5)) {
+                return element;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Link the next rollover marker (clicked in stratigraphic order, oldest first)
+     */
+    addTrajectoryPoint(pos) {
+        const marker = this.findMarkerAt(pos);
+        if (!marker) {
+            this.showTerminationHint('Click on a rollover marker to link it into the trajectory');
+            return;
+        }
+
+        const point = { x: marker.x, y: marker.y };
+
+        if (!this.isDrawing) {
+            this.isDrawing = true;
+            this.points = [point];
+            this.activeElement = {
+                type: 'trajectory',
+                color: '#333333',
+                width: 2,
+                points: [point]
+            };
+        } else {
+            // The same marker twice in a row (e.g. the double-click that finishes)
+            const last = this.points[this.points.length - 1];
+            if (last.x === point.x && last.y === point.y) return;
+
+            this.points.push(point);
+            this.activeElement.points = [...this.points];
+            this.redraw();
+        }
+
+        this.showTerminationHint(`${this.points.length} rollover(s) linked - double-click to finish`);
+    }
+
+    /**
+     * Finish the trajectory
+     */
+    finishTrajectory() {
+        this.hideTerminationHint();
+
+        if (this.points.length < 2) {
+            this.cancelCurrentOperation();
+            return;
+        }
+
+        const element = {
+            type: 'trajectory',
+            color: '#333333',
+            width: 2,
+            points: [...this.points],
+            timestamp: Date.now()
+        };
+
+        this.addElement(element);
+        this.isDrawing = false;
+        this.points = [];
+        this.activeElement = null;
+    }
+
+    /**
+     * Classify the segments of a trajectory element from its world-unit angles
+     */
+    getTrajectorySegments(element) {
+        const points = this.axes
+            ? element.points.map(p => this.axes.toWorld(p))
+            : element.points;
+        return ShorelineTrajectory.classify(points);
+    }
+
     // ==================== STRATAL TERMINATION TOOL ====================
 
     /**
@@ -556,6 +833,32 @@ class DrawingCanvas {
         }
     }
 
+    /**
+     * Reset the shared termination counter to start fresh
+     * @returns {Object} Copy of the counter before the reset (for undo)
+     */
+    resetTerminationCounter() {
+        const before = this.getTerminationCounterSnapshot();
+        this.terminationCounter.count = 0;
+        this.terminationCounter.availableNumbers = [];
+        return before;
+    }
+
+    getTerminationCounterSnapshot() {
+        return {
+            count: this.terminationCounter.count,
+            availableNumbers: [...(this.terminationCounter.availableNumbers || [])]
+        };
+    }
+
+    /**
+     * Put the shared counter back to a snapshot (same object, other canvases share it)
+     */
+    restoreTerminationCounter(snapshot) {
+        this.terminationCounter.count = snapshot.count;
+        this.terminationCounter.availableNumbers = [...snapshot.availableNumbers];
+    }
+
     /**
      * Place a stratal termination point
      * Requires TWO clicks: first for landward termination, second for basinward termination.
@@ -568,14 +871,6 @@ class DrawingCanvas {
             // FIRST CLICK - Landward termination point
             const num = this.getNextTerminationNumber();
 
-            // Store state for second click
-            this.terminationState = {
-                waitingForSecondClick: true,
-                firstPoint: { x: pos.x, y: pos.y },
-                currentNumber: num,
-                color: this.currentColor
-            };
-
             // Create first termination marker on cross-section
             const element = {
                 type: 'termination',
@@ -584,12 +879,23 @@ class DrawingCanvas {
                 y: pos.y,
                 label: `${num}`,
                 number: num,
+                terminationType: this.terminationType,
                 isFirstPoint: true,
                 timestamp: Date.now()
             };
 
             this.addElement(element);
 
+            // Store state for second click
+            this.terminationState = {
+                waitingForSecondClick: true,
+                firstPoint: { x: pos.x, y: pos.y },
+                firstId: element.id,
+                currentNumber: num,
+                color: this.currentColor,
+                terminationType: this.terminationType
+            };
+
             // Show user feedback that we're waiting for second click
             this.showTerminationHint(`Click basinward point to complete termination ${num}-${num}`);
 
@@ -598,6 +904,7 @@ class DrawingCanvas {
             const num = this.terminationState.currentNumber;
             const firstPoint = this.terminationState.firstPoint;
             const color = this.terminationState.color;
+            const terminationType = this.terminationState.terminationType;
 
             // Create second termination marker on cross-section
             const element = {
@@ -607,11 +914,12 @@ class DrawingCanvas {
                 y: pos.y,
                 label: `${num}`,
                 number: num,
+                terminationType: terminationType,
                 isFirstPoint: false,
                 timestamp: Date.now()
             };
 
-            this.addElement(element);
+            this.addElement(element, true);
 
             // Determine which point is landward (smaller x) and basinward (larger x)
             const x1 = Math.min(firstPoint.x, pos.x);
@@ -621,12 +929,14 @@ class DrawingCanvas {
 
             // Trigger callback to project to Wheeler diagram with BOTH positions
             this.onTerminationPlaced({
+                elementIds: [this.terminationState.firstId, element.id],
                 x1: x1,  // Landward X position
                 x2: x2,  // Basinward X position
                 y1: y1,  // Y at landward point
                 y2: y2,  // Y at basinward point
                 label: `${num}-${num}`,
                 number: num,
+                terminationType: terminationType,
                 color: color,
                 canvasWidth: this.canvas.width,
                 canvasHeight: this.canvas.height
@@ -637,13 +947,23 @@ class DrawingCanvas {
                 waitingForSecondClick: false,
                 firstPoint: null,
                 currentNumber: null,
-                color: null
+                color: null,
+                terminationType: null
             };
 
             this.hideTerminationHint();
         }
     }
 
+    /**
+     * Set termination (lapout) type for the next termination pair
+     */
+    setTerminationType(type) {
+        if (this.terminationTypes[type]) {
+            this.terminationType = type;
+        }
+    }
+
     /**
      * Show hint message for termination tool
      */
@@ -694,6 +1014,7 @@ class DrawingCanvas {
             const lastElement = this.elements[this.elements.length - 1];
             if (lastElement && lastElement.type === 'termination' && lastElement.number === num) {
                 this.elements.pop();
+                this.forgetElementHistory(lastElement);
                 // Recycle the number for reuse
                 this.recycleTerminationNumber(num);
             }
@@ -807,7 +1128,7 @@ class DrawingCanvas {
             const start = this.points[0];
             const dist = Math.hypot(pos.x - start.x, pos.y - start.y);
 
-            if (this.points.length >= 3 && dist < 15) {
+            if (this.points.length >= 3 && dist < this.px(15)) {
                 this.finishSystemTract();
             } else {
                 this.points.push(pos);
@@ -840,89 +1161,245 @@ class DrawingCanvas {
         this.activeElement = null;
     }
 
-    // ==================== STRATA NUMBERING TOOL ====================
+    // ==================== GAP REGION TOOL ====================
 
     /**
-     * Place a numbered strata marker (single click, auto-increment)
+     * Set the gap region type ('hiatus' or 'erosion')
      */
-    placeStrataNumber(pos) {
-        this.strataCounter.count++;
-        const num = this.strataCounter.count;
-
-        const element = {
-            type: 'strataNumber',
-            number: num,
-            color: '#000000',
-            x: pos.x,
-            y: pos.y,
-            timestamp: Date.now()
-        };
-
-        this.addElement(element);
+    setRegionType(type) {
+        this.regionType = type;
+        if (type && this.regionStyles[type]) {
+            this.currentColor = this.regionStyles[type].color;
+        }
     }
 
-    // ==================== DRILLING SITE TOOL ====================
-
     /**
-     * Initialize drilling state for two-click workflow
+     * Add point to a gap region polygon
      */
-    initDrillingState() {
-        if (!this.drillingState) {
-            this.drillingState = {
-                waitingForSecondClick: false,
-                rigPosition: null
+    addRegionPoint(pos) {
+        if (!this.regionType) {
+            console.warn('Region type not set');
+            return;
+        }
+
+        if (!this.isDrawing) {
+            this.isDrawing = true;
+            this.points = [pos];
+            this.activeElement = {
+                type: 'region',
+                regionType: this.regionType,
+                color: this.regionStyles[this.regionType].color,
+                points: [pos]
             };
+        } else {
+            // Check if clicking near start point to close polygon
+            const start = this.points[0];
+            const dist = Math.hypot(pos.x - start.x, pos.y - start.y);
+
+            if (this.points.length >= 3 && dist < this.px(15)) {
+                this.finishRegion();
+            } else {
+                this.points.push(pos);
+                this.activeElement.points = [...this.points];
+                this.redraw();
+            }
         }
     }
 
     /**
-     * Place a drilling site marker (two-click workflow)
-     * First click: place drilling rig at surface
-     * Second click: place target reservoir and draw connecting line
+     * Finish the gap region polygon
      */
-    placeDrillingSite(pos) {
-        this.initDrillingState();
+    finishRegion() {
+        if (this.points.length < 3) {
+            this.cancelCurrentOperation();
+            return;
+        }
 
-        if (!this.drillingState.waitingForSecondClick) {
-            // FIRST CLICK - Place drilling rig
-            this.drillingState = {
-                waitingForSecondClick: true,
-                rigPosition: { x: pos.x, y: pos.y }
-            };
+        this.addElement(this.createRegion(this.regionType, [...this.points]));
+        this.isDrawing = false;
+        this.points = [];
+        this.activeElement = null;
+    }
 
-            // Create drilling rig element
-            const rigElement = {
-                type: 'drillingSite',
-                color: '#FF0000',
-                x: pos.x,
-                y: pos.y,
-                timestamp: Date.now()
-            };
+    /**
+     * Build a gap region element (also used for auto-filled gaps)
+     */
+    createRegion(regionType, points) {
+        return {
+            type: 'region',
+            regionType: regionType,
+            color: this.regionStyles[regionType].color,
+            points: points,
+            timestamp: Date.now()
+        };
+    }
 
-            this.addElement(rigElement);
+    // ==================== SEA-LEVEL CURVE TOOL ====================
 
-            // Show hint for second click
-            this.showDrillingHint('Click on target reservoir interval');
+    /**
+     * Set the curve type (relative sea level or sediment supply)
+     */
+    setCurveType(type) {
+        this.curveType = type;
+        if (type && this.curveStyles[type]) {
+            this.currentColor = this.curveStyles[type].color;
+        }
+    }
 
-        } else {
-            // SECOND CLICK - Draw line to reservoir target
-            const rigPos = this.drillingState.rigPosition;
+    /**
+     * Add point to a curve (click per point, double-click to finish)
+     */
+    addCurvePoint(pos) {
+        if (!this.curveType) {
+            console.warn('Curve type not set');
+            return;
+        }
 
-            // Create drilling line from rig to target
-            const lineElement = {
-                type: 'drillingLine',
-                color: '#FF0000',
-                x1: rigPos.x,
-                y1: rigPos.y,
-                x2: pos.x,
-                y2: pos.y,
-                timestamp: Date.now()
+        if (!this.isDrawing) {
+            this.isDrawing = true;
+            this.points = [pos];
+            this.activeElement = {
+                type: 'curve',
+                curveType: this.curveType,
+                color: this.curveStyles[this.curveType].color,
+                width: 3,
+                points: [pos]
             };
+        } else {
+            this.points.push(pos);
+            this.activeElement.points = [...this.points];
+            this.redraw();
+        }
+    }
+
+    /**
+     * Finish the curve
+     */
+    finishCurve() {
+        if (this.points.length < 2) {
+            this.cancelCurrentOperation();
+            return;
+        }
+
+        const element = {
+            type: 'curve',
+            curveType: this.curveType,
+            color: this.curveStyles[this.curveType].color,
+            width: 3,
+            points: [...this.points],
+            timestamp: Date.now()
+        };
+
+        this.addElement(element);
+        this.isDrawing = false;
+        this.points = [];
+        this.activeElement = null;
+    }
 
-            this.addElement(lineElement);
+    /**
+     * Highlight elements (e.g. those a checker warning refers to)
+     * @param {Array} elements - Elements of this canvas; empty to clear
+     */
+    setHighlight(elements) {
+        this.highlightedElements = elements || [];
+        this.redraw();
+    }
+
+    /**
+     * Mark a time with a horizontal crosshair line (null hides it)
+     * @param {number|null} worldY - Time in world units
+     */
+    setCrosshair(worldY) {
+        if (worldY === this.crosshairY) return;
+        this.crosshairY = worldY;
+        this.redraw();
+    }
+
+    // ==================== STRATA NUMBERING TOOL ====================
+
+    /**
+     * Place a numbered strata marker (single click, auto-increment)
+     */
+    placeStrataNumber(pos) {
+        this.strataCounter.count++;
+        const num = this.strataCounter.count;
+
+        const element = {
+            type: 'strataNumber',
+            number: num,
+            color: '#000000',
+            x: pos.x,
+            y: pos.y,
+            timestamp: Date.now()
+        };
+
+        this.addElement(element);
+    }
+
+    // ==================== DRILLING SITE TOOL ====================
+
+    /**
+     * Initialize drilling state for two-click workflow
+     */
+    initDrillingState() {
+        if (!this.drillingState) {
+            this.drillingState = {
+                waitingForSecondClick: false,
+                rigPosition: null
+            };
+        }
+    }
+
+    /**
+     * Place a drilling site marker (two-click workflow)
+     * First click: place drilling rig at surface
+     * Second click: place target reservoir and draw connecting line
+     */
+    placeDrillingSite(pos) {
+        this.initDrillingState();
+
+        if (!this.drillingState.waitingForSecondClick) {
+            // FIRST CLICK - Place drilling rig
+            // Create drilling rig element
+            const rigElement = {
+                type: 'drillingSite',
+                color: '#FF0000',
+                x: pos.x,
+                y: pos.y,
+                timestamp: Date.now()
+            };
+
+            this.addElement(rigElement);
+
+            this.drillingState = {
+                waitingForSecondClick: true,
+                rigPosition: { x: pos.x, y: pos.y },
+                rigId: rigElement.id
+            };
+
+            // Show hint for second click
+            this.showDrillingHint('Click on target reservoir interval');
+
+        } else {
+            // SECOND CLICK - Draw line to reservoir target
+            const rigPos = this.drillingState.rigPosition;
+
+            // Create drilling line from rig to target
+            const lineElement = {
+                type: 'drillingLine',
+                color: '#FF0000',
+                x1: rigPos.x,
+                y1: rigPos.y,
+                x2: pos.x,
+                y2: pos.y,
+                timestamp: Date.now()
+            };
+
+            this.addElement(lineElement, true);
 
             // Trigger callback to project to Wheeler diagram
             this.onDrillingLinePlaced({
+                elementIds: [this.drillingState.rigId, lineElement.id],
                 x: rigPos.x,  // Use rig X position for projection
                 y1: rigPos.y,
                 y2: pos.y,
@@ -986,6 +1463,7 @@ class DrawingCanvas {
             const lastElement = this.elements[this.elements.length - 1];
             if (lastElement && lastElement.type === 'drillingSite') {
                 this.elements.pop();
+                this.forgetElementHistory(lastElement);
             }
 
             this.drillingState = {
@@ -998,6 +1476,21 @@ class DrawingCanvas {
         }
     }
 
+    /**
+     * Cancel a half-placed termination or drilling site (undo and redo must
+     * not leave its second click waiting to join an unrelated action)
+     * @returns {boolean} true if one was waiting for its second click
+     */
+    cancelPendingPlacement() {
+        const pending = Boolean(
+            (this.terminationState && this.terminationState.waitingForSecondClick) ||
+            (this.drillingState && this.drillingState.waitingForSecondClick)
+        );
+        this.cancelTermination();
+        this.cancelDrilling();
+        return pending;
+    }
+
     // ==================== TEXT TOOL ====================
 
     /**
@@ -1028,14 +1521,16 @@ class DrawingCanvas {
             min-width: 100px;
         `;
 
-        // Position relative to canvas wrapper
+        // Position relative to canvas wrapper (text is placed in image space,
+        // the input box in the zoomed/panned screen view)
         const wrapper = this.canvas.parentElement;
         const rect = this.canvas.getBoundingClientRect();
         const scaleX = rect.width / this.canvas.width;
         const scaleY = rect.height / this.canvas.height;
+        const screenPos = this.viewport ? this.viewport.toCanvas(pos) : pos;
 
-        this.textInput.style.left = `${pos.x * scaleX}px`;
-        this.textInput.style.top = `${pos.y * scaleY}px`;
+        this.textInput.style.left = `${screenPos.x * scaleX}px`;
+        this.textInput.style.top = `${screenPos.y * scaleY}px`;
 
         wrapper.appendChild(this.textInput);
         this.textInput.focus();
@@ -1095,8 +1590,7 @@ class DrawingCanvas {
             const index = this.elements.indexOf(element);
             if (index > -1) {
                 // Store for undo
-                this.redoStack = []; // Clear redo stack
-                this.undoStack.push({
+                this.pushUndoAction({
                     action: 'remove',
                     element: element,
                     index: index
@@ -1105,8 +1599,10 @@ class DrawingCanvas {
                 // Remove element
                 this.elements.splice(index, 1);
                 this.hoverElement = null;
+                if (this.selectedElement === element) this.selectedElement = null;
                 this.redraw();
                 this.onStateChange();
+                this.onElementsRemoved([element]);
             }
         }
     }
@@ -1130,7 +1626,7 @@ class DrawingCanvas {
      * Check if point is in element
      */
     isPointInElement(pos, element) {
-        const threshold = 10;
+        const threshold = this.px(10);
 
         switch (element.type) {
             case 'line':
@@ -1138,7 +1634,7 @@ class DrawingCanvas {
             case 'polygon':
                 return this.isPointInPolygon(pos, element.points);
             case 'marker':
-                return Math.hypot(pos.x - element.x, pos.y - element.y) < element.size + 5;
+                return Math.hypot(pos.x - element.x, pos.y - element.y) < this.px((element.size || 12) + 5);
             case 'text':
                 // Approximate text bounds
                 const textWidth = element.text.length * 8;
@@ -1146,25 +1642,28 @@ class DrawingCanvas {
                 return pos.x >= element.x && pos.x <= element.x + textWidth &&
                        pos.y >= element.y - textHeight && pos.y <= element.y;
             case 'termination':
-                return Math.hypot(pos.x - element.x, pos.y - element.y) < 15;
+                return Math.hypot(pos.x - element.x, pos.y - element.y) < this.px(15);
             case 'terminationLine':
-                return Math.abs(pos.y - element.y) < 10 &&
+                return Math.abs(pos.y - element.y) < this.px(10) &&
                        pos.x >= element.x1 && pos.x <= element.x2;
             case 'surface':
+            case 'trajectory':
+            case 'curve':
                 return this.isPointNearLine(pos, element.points, threshold);
             case 'systemTract':
+            case 'region':
                 return this.isPointInPolygon(pos, element.points);
             case 'strataNumber':
-                return Math.hypot(pos.x - element.x, pos.y - element.y) < 10;
+                return Math.hypot(pos.x - element.x, pos.y - element.y) < this.px(10);
             case 'drillingSite':
-                return Math.hypot(pos.x - element.x, pos.y - element.y) < 20;
+                return Math.hypot(pos.x - element.x, pos.y - element.y) < this.px(20);
             case 'drillingLine':
                 return this.isPointNearLine(pos, [
                     { x: element.x1, y: element.y1 },
                     { x: element.x2, y: element.y2 }
                 ], threshold);
             case 'drillingProjection':
-                return Math.abs(pos.x - element.x) < 8 &&
+                return Math.abs(pos.x - element.x) < this.px(8) &&
                        pos.y >= element.y1 && pos.y <= element.y2;
             default:
                 return false;
@@ -1228,13 +1727,377 @@ class DrawingCanvas {
         return inside;
     }
 
+    // ==================== SELECT TOOL ====================
+
+    /**
+     * Minimum number of vertices an element must keep
+     */
+    getMinVertices(element) {
+        return ['polygon', 'systemTract', 'region'].includes(element.type) ? 3 : 2;
+    }
+
+    /**
+     * Check if element has editable vertices
+     */
+    hasVertices(element) {
+        return !!element &&
+               ['line', 'surface', 'curve', 'polygon', 'systemTract', 'region'].includes(element.type) &&
+               Array.isArray(element.points);
+    }
+
+    /**
+     * Find vertex handle of the selected element at position
+     * @returns {number} - Vertex index, or -1 if none
+     */
+    findVertexAt(pos) {
+        const element = this.selectedElement;
+        if (!this.hasVertices(element)) return -1;
+
+        for (let i = element.points.length - 1; i >= 0; i--) {
+            const p = element.points[i];
+            if (Math.hypot(pos.x - p.x, pos.y - p.y) <= this.px(7)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Find the segment of the selected element nearest to position
+     * @returns {number} - Index of the segment start vertex, or -1 if none within reach
+     */
+    findSegmentAt(pos) {
+        const element = this.selectedElement;
+        if (!this.hasVertices(element)) return -1;
+
+        const points = element.points;
+        const closed = ['polygon', 'systemTract', 'region'].includes(element.type);
+        const segmentCount = closed ? points.length : points.length - 1;
+
+        for (let i = 0; i < segmentCount; i++) {
+            const next = points[(i + 1) % points.length];
+            if (this.pointToLineDistance(pos, points[i], next) < this.px(8)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Copy the geometric properties of an element (used for modify undo/redo)
+     */
+    getElementGeometry(element) {
+        const geometry = {};
+        ['x', 'y', 'x1', 'y1', 'x2', 'y2'].forEach(key => {
+            if (typeof element[key] === 'number') geometry[key] = element[key];
+        });
+        if (Array.isArray(element.points)) {
+            geometry.points = element.points.map(p => ({ x: p.x, y: p.y }));
+        }
+        return geometry;
+    }
+
+    /**
+     * Apply previously copied geometry to an element
+     */
+    applyElementGeometry(element, geometry) {
+        Object.keys(geometry).forEach(key => {
+            element[key] = key === 'points'
+                ? geometry.points.map(p => ({ x: p.x, y: p.y }))
+                : geometry[key];
+        });
+    }
+
+    /**
+     * Compare two geometry snapshots
+     */
+    isSameGeometry(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Handle mouse down with the select tool
+     * Picks a vertex handle of the current selection first, otherwise an element
+     */
+    handleSelectDown(pos) {
+        const vertexIndex = this.findVertexAt(pos);
+        let element = this.selectedElement;
+
+        if (vertexIndex === -1) {
+            element = this.findElementAt(pos);
+            this.selectedElement = element;
+        }
+
+        if (element) {
+            this.dragState = {
+                element: element,
+                vertexIndex: vertexIndex,
+                startPos: { x: pos.x, y: pos.y },
+                before: this.getElementGeometry(element)
+            };
+        } else {
+            this.dragState = null;
+        }
+
+        this.redraw();
+    }
+
+    /**
+     * Move the dragged element or vertex to follow the mouse
+     */
+    updateSelectDrag(pos) {
+        const drag = this.dragState;
+        const dx = pos.x - drag.startPos.x;
+        const dy = pos.y - drag.startPos.y;
+
+        // Always start from the original geometry so rounding never accumulates
+        this.applyElementGeometry(drag.element, drag.before);
+
+        if (drag.vertexIndex > -1) {
+            const vertex = drag.element.points[drag.vertexIndex];
+            vertex.x += dx;
+            vertex.y += dy;
+        } else if (drag.element.type === 'terminationLine' || drag.element.type === 'rolloverSquare') {
+            // Re-time a projected termination or rollover: vertical moves only
+            this.retimeElement(drag.element, drag.before.y + dy);
+        } else if (drag.element.type === 'drillingProjection') {
+            // A drilling projection spans all time: horizontal moves only
+            this.translateElement(drag.element, dx, 0);
+        } else {
+            this.translateElement(drag.element, dx, dy);
+        }
+
+        this.redraw();
+    }
+
+    /**
+     * Move a termination line or rollover square to the time step nearest
+     * to canvas Y (snapped to half steps and kept inside the time axis)
+     */
+    retimeElement(element, y) {
+        if (!this.axes) {
+            element.y = y;
+            return;
+        }
+
+        const minTime = Math.min(this.axes.yMin, this.axes.yMax);
+        const maxTime = Math.max(this.axes.yMin, this.axes.yMax);
+        const time = Math.min(maxTime, Math.max(minTime, Math.round(this.axes.yToWorld(y) * 2) / 2));
+        element.y = this.axes.yToCanvas(time);
+    }
+
+    /**
+     * Translate all coordinates of an element
+     */
+    translateElement(element, dx, dy) {
+        ['x', 'x1', 'x2'].forEach(key => {
+            if (typeof element[key] === 'number') element[key] += dx;
+        });
+        ['y', 'y1', 'y2'].forEach(key => {
+            if (typeof element[key] === 'number') element[key] += dy;
+        });
+        if (Array.isArray(element.points)) {
+            element.points.forEach(p => {
+                p.x += dx;
+                p.y += dy;
+            });
+        }
+    }
+
+    /**
+     * Finish a select drag and record it as an undoable modify action
+     */
+    finishSelectDrag() {
+        const drag = this.dragState;
+        this.dragState = null;
+
+        const after = this.getElementGeometry(drag.element);
+        if (!this.isSameGeometry(drag.before, after)) {
+            this.recordModify(drag.element, drag.before, after);
+        }
+    }
+
+    /**
+     * Abort a select drag and restore the original geometry
+     */
+    cancelSelectDrag() {
+        if (this.dragState) {
+            this.applyElementGeometry(this.dragState.element, this.dragState.before);
+            this.dragState = null;
+            this.redraw();
+        }
+    }
+
+    /**
+     * Double click with select tool: delete the vertex under the cursor,
+     * or insert a new vertex on the segment under the cursor
+     */
+    handleSelectDoubleClick(pos) {
+        const element = this.selectedElement;
+        if (!this.hasVertices(element)) return;
+
+        const before = this.getElementGeometry(element);
+        const vertexIndex = this.findVertexAt(pos);
+
+        if (vertexIndex > -1) {
+            if (element.points.length <= this.getMinVertices(element)) return;
+            element.points.splice(vertexIndex, 1);
+        } else {
+            const segmentIndex = this.findSegmentAt(pos);
+            if (segmentIndex === -1) return;
+            element.points.splice(segmentIndex + 1, 0, { x: pos.x, y: pos.y });
+        }
+
+        this.recordModify(element, before, this.getElementGeometry(element));
+    }
+
+    /**
+     * Delete the current selection (Delete/Backspace key)
+     */
+    deleteSelection() {
+        const element = this.selectedElement;
+        if (!element) return false;
+
+        const index = this.elements.indexOf(element);
+        if (index === -1) return false;
+
+        this.pushUndoAction({
+            action: 'remove',
+            element: element,
+            index: index
+        });
+
+        this.elements.splice(index, 1);
+        this.selectedElement = null;
+        this.redraw();
+        this.onStateChange();
+        this.onElementsRemoved([element]);
+        return true;
+    }
+
+    /**
+     * Record a geometry change for undo/redo
+     */
+    recordModify(element, before, after) {
+        this.pushUndoAction({
+            action: 'modify',
+            element: element,
+            before: before,
+            after: after
+        });
+
+        this.redraw();
+        this.onStateChange();
+        this.onElementModified(element);
+    }
+
+    /**
+     * Update cursor while hovering with the select tool
+     */
+    updateSelectCursor(pos) {
+        if (this.findVertexAt(pos) > -1) {
+            this.canvas.style.cursor = 'pointer';
+        } else if (this.findElementAt(pos)) {
+            this.canvas.style.cursor = 'move';
+        } else {
+            this.canvas.style.cursor = 'default';
+        }
+    }
+
+    /**
+     * Draw selection outline and vertex handles
+     */
+    drawSelection(element) {
+        this.drawElementHighlight(element, '#1a5276');
+
+        if (!this.hasVertices(element)) return;
+
+        const ctx = this.ctx;
+        const size = this.px(8);
+        ctx.save();
+        ctx.fillStyle = '#FFFFFF';
+        ctx.strokeStyle = '#1a5276';
+        ctx.lineWidth = this.px(1.5);
+        element.points.forEach(p => {
+            ctx.fillRect(p.x - size / 2, p.y - size / 2, size, size);
+            ctx.strokeRect(p.x - size / 2, p.y - size / 2, size, size);
+        });
+        ctx.restore();
+    }
+
     // ==================== ELEMENT MANAGEMENT ====================
 
     /**
      * Add element to canvas
+     * @param {Object} element
+     * @param {boolean} joinPrevious - Undo together with the previous action
+     *                                 (second click of a two-click tool)
      */
-    addElement(element) {
+    addElement(element, joinPrevious = false) {
+        this.assignId(element);
         this.elements.push(element);
+
+        const action = {
+            action: 'add',
+            element: element
+        };
+        if (joinPrevious) action.joinPrevious = true;
+        this.pushUndoAction(action);
+
+        this.redraw();
+        this.onStateChange();
+        this.onElementAdd(element);
+    }
+
+    /**
+     * Give an element a persistent ID if it has none
+     */
+    assignId(element) {
+        if (!element.id) {
+            element.id = `${this.idPrefix}-${this.nextId++}`;
+        }
+        return element.id;
+    }
+
+    /**
+     * Find an element by its ID
+     */
+    getElementById(id) {
+        return this.elements.find(el => el.id === id) || null;
+    }
+
+    /**
+     * Remove an element as an undoable action (e.g. a linked partner)
+     * @returns {boolean}
+     */
+    removeElement(element) {
+        const index = this.elements.indexOf(element);
+        if (index === -1) return false;
+
+        this.pushUndoAction({
+            action: 'remove',
+            element: element,
+            index: index
+        });
+
+        this.elements.splice(index, 1);
+        if (this.selectedElement === element) this.selectedElement = null;
+        if (this.hoverElement === element) this.hoverElement = null;
+        this.redraw();
+        this.onStateChange();
+        return true;
+    }
+
+    /**
+     * Record an undoable action: in the shared command history if there is
+     * one, otherwise on this canvas's own stack (clears redo, enforces limit)
+     */
+    pushUndoAction(action) {
+        if (this.history) {
+            this.history.record(this, action);
+            return;
+        }
+
         this.redoStack = []; // Clear redo stack on new action
 
         // Maintain history limit
@@ -1242,23 +2105,127 @@ class DrawingCanvas {
             this.undoStack.shift();
         }
 
-        this.undoStack.push({
-            action: 'add',
-            element: element
+        this.undoStack.push(action);
+    }
+
+    /**
+     * Drop the recorded add of an element that was withdrawn before it
+     * counted (e.g. the first point of a cancelled termination)
+     */
+    forgetElementHistory(element) {
+        if (this.history) {
+            this.history.forgetElement(this, element);
+            return;
+        }
+        this.undoStack = this.undoStack.filter(action => action.element !== element);
+    }
+
+    /**
+     * Copy of a recorded action that can be saved: geometry in world units,
+     * elements still on the canvas by ID only (they are saved with the canvas)
+     */
+    serializeAction(action) {
+        const data = {};
+        Object.keys(action).forEach(key => {
+            const value = action[key];
+            if (key === 'element') {
+                data.element = this.serializeElementRef(value);
+            } else if (key === 'elements') {
+                data.elements = value.map(el => this.serializeElementRef(el));
+            } else if (key === 'before' || key === 'after') {
+                data[key] = this.toWorldCopy(value);
+            } else {
+                data[key] = JSON.parse(JSON.stringify(value));
+            }
         });
+        return data;
+    }
 
-        this.redraw();
-        this.onStateChange();
-        this.onElementAdd(element);
+    serializeElementRef(element) {
+        if (this.elements.includes(element)) {
+            return { id: element.id };
+        }
+        return { id: element.id, element: this.toWorldCopy(element) };
+    }
+
+    /**
+     * Rebuild an action saved by serializeAction
+     * @param {Object} data
+     * @param {Object} cache - Elements resolved so far, by ID
+     * @returns {Object|null} null if an element cannot be found
+     */
+    deserializeAction(data, cache) {
+        if (!data || typeof data.action !== 'string') return null;
+
+        const action = {};
+        for (const key of Object.keys(data)) {
+            const value = data[key];
+            if (key === 'element') {
+                action.element = this.resolveElementRef(value, cache);
+                if (!action.element) return null;
+            } else if (key === 'elements') {
+                if (!Array.isArray(value)) return null;
+                action.elements = value.map(ref => this.resolveElementRef(ref, cache));
+                if (action.elements.includes(null)) return null;
+            } else if (key === 'before' || key === 'after') {
+                action[key] = this.toCanvasCopy(value);
+            } else {
+                action[key] = value;
+            }
+        }
+        return action;
+    }
+
+    resolveElementRef(ref, cache) {
+        if (!ref || !ref.id) return null;
+        if (!cache[ref.id]) {
+            const element = this.getElementById(ref.id) ||
+                (ref.element ? this.toCanvasCopy(ref.element) : null);
+            if (!element) return null;
+            cache[ref.id] = element;
+        }
+        return cache[ref.id];
+    }
+
+    toWorldCopy(geometry) {
+        return this.axes ? this.axes.elementToWorld(geometry) : JSON.parse(JSON.stringify(geometry));
+    }
+
+    toCanvasCopy(geometry) {
+        return this.axes ? this.axes.elementToCanvas(geometry) : JSON.parse(JSON.stringify(geometry));
     }
 
     /**
      * Undo last action
      */
     undo() {
+        if (this.history) return this.history.undo();
         if (this.undoStack.length === 0) return false;
 
         const action = this.undoStack.pop();
+        this.applyUndo(action);
+        this.redoStack.push(action);
+        return true;
+    }
+
+    /**
+     * Redo last undone action
+     */
+    redo() {
+        if (this.history) return this.history.redo();
+        if (this.redoStack.length === 0) return false;
+
+        const action = this.redoStack.pop();
+        this.applyRedo(action);
+        this.undoStack.push(action);
+        return true;
+    }
+
+    /**
+     * Reverse a single recorded action on this canvas
+     */
+    applyUndo(action) {
+        this.selectedElement = null;
 
         if (action.action === 'add') {
             // Remove the element
@@ -1270,59 +2237,128 @@ class DrawingCanvas {
             if (action.element.type === 'termination') {
                 this.recycleTerminationNumber(action.element.number);
             }
-            this.redoStack.push(action);
         } else if (action.action === 'remove') {
             // Re-add the element at original position
-            this.elements.splice(action.index, 0, action.element);
-            this.redoStack.push(action);
+            if (!this.elements.includes(action.element)) {
+                this.elements.splice(action.index, 0, action.element);
+            }
+        } else if (action.action === 'modify') {
+            // Restore geometry from before the edit
+            this.applyElementGeometry(action.element, action.before);
+            this.onElementModified(action.element);
+        } else if (action.action === 'clear') {
+            // Bring back everything that was on the canvas
+            this.elements = [...action.elements];
+        } else if (action.action === 'restore') {
+            // Take the recovered elements out again
+            this.elements = this.elements.filter(el => !action.elements.includes(el));
+        }
+
+        if (action.counterBefore) {
+            this.restoreTerminationCounter(action.counterBefore);
         }
 
         this.redraw();
         this.onStateChange();
-        return true;
     }
 
     /**
-     * Redo last undone action
+     * Re-apply a single recorded action on this canvas
      */
-    redo() {
-        if (this.redoStack.length === 0) return false;
-
-        const action = this.redoStack.pop();
+    applyRedo(action) {
+        this.selectedElement = null;
 
         if (action.action === 'add') {
             // Re-add the element
-            this.elements.push(action.element);
-            this.undoStack.push(action);
+            if (!this.elements.includes(action.element)) {
+                this.elements.push(action.element);
+            }
+            // Take a recycled termination number back out of the pool
+            if (action.element.type === 'termination' && this.terminationCounter.availableNumbers) {
+                this.terminationCounter.availableNumbers = this.terminationCounter.availableNumbers
+                    .filter(num => num !== action.element.number);
+            }
         } else if (action.action === 'remove') {
             // Remove the element again
             const index = this.elements.indexOf(action.element);
             if (index > -1) {
                 this.elements.splice(index, 1);
             }
-            this.undoStack.push(action);
+        } else if (action.action === 'modify') {
+            // Re-apply the edited geometry
+            this.applyElementGeometry(action.element, action.after);
+            this.onElementModified(action.element);
+        } else if (action.action === 'clear') {
+            this.elements = [];
+        } else if (action.action === 'restore') {
+            this.elements.push(...action.elements);
+        }
+
+        if (action.counterAfter) {
+            this.restoreTerminationCounter(action.counterAfter);
         }
 
         this.redraw();
         this.onStateChange();
-        return true;
     }
 
     /**
-     * Clear all elements
+     * Clear all elements as one undoable action
+     * @param {Object} options
+     * @param {boolean} options.resetTerminationCounter - Also restart termination numbering
+     * @returns {boolean} false if there was nothing to clear
      */
-    clear() {
-        // Store current state for potential undo
-        const oldElements = [...this.elements];
+    clear(options = {}) {
+        const action = { action: 'clear', elements: [...this.elements] };
+        if (options.resetTerminationCounter) {
+            action.counterBefore = this.resetTerminationCounter();
+            action.counterAfter = this.getTerminationCounterSnapshot();
+        }
+        const cleared = action.elements.length > 0 || !!action.counterBefore;
+        if (cleared) {
+            this.pushUndoAction(action);
+        }
+
         this.elements = [];
-        this.undoStack = [];
-        this.redoStack = [];
         this.points = [];
         this.isDrawing = false;
         this.activeElement = null;
+        this.selectedElement = null;
 
         this.redraw();
         this.onStateChange();
+        return cleared;
+    }
+
+    /**
+     * Add back elements from a saved state (e.g. recently cleared drawings)
+     * as one undoable action. Elements already on the canvas are skipped.
+     * @param {Object} state - As returned by getState()
+     * @returns {number} Number of elements restored
+     */
+    restoreElements(state) {
+        const elements = this.elementsFromState(state)
+            .filter(el => !el.id || !this.getElementById(el.id));
+        if (elements.length === 0) return 0;
+
+        elements.forEach(el => this.assignId(el));
+        const action = { action: 'restore', elements: elements };
+
+        // Keep restored termination numbers out of the counter's reuse pool
+        const numbers = elements.filter(el => el.type === 'termination').map(el => el.number);
+        if (numbers.length > 0) {
+            action.counterBefore = this.getTerminationCounterSnapshot();
+            this.terminationCounter.count = Math.max(this.terminationCounter.count, ...numbers);
+            this.terminationCounter.availableNumbers = (this.terminationCounter.availableNumbers || [])
+                .filter(num => !numbers.includes(num));
+            action.counterAfter = this.getTerminationCounterSnapshot();
+        }
+
+        this.elements.push(...elements);
+        this.pushUndoAction(action);
+        this.redraw();
+        this.onStateChange();
+        return elements.length;
     }
 
     // ==================== DRAWING ====================
@@ -1331,26 +2367,56 @@ class DrawingCanvas {
      * Redraw all elements
      */
     redraw() {
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
+        // Everything below is drawn in image space under the current zoom/pan
+        if (this.viewport) {
+            this.viewport.applyTo(this.ctx);
+        }
+
+        // Shoreline-position curve through the projected rollovers (under the squares)
+        if (this.isWheelerDiagram) {
+            this.drawShorelineCurve();
+        }
+
         // Draw all saved elements
         this.elements.forEach(element => {
             this.drawElement(element);
         });
 
+        // Draw checker highlights
+        this.highlightedElements
+            .filter(element => this.elements.includes(element))
+            .forEach(element => this.drawElementHighlight(element, '#FF8C00'));
+
         // Draw hover highlight for eraser
         if (this.hoverElement && this.currentTool === 'eraser') {
             this.drawElementHighlight(this.hoverElement);
         }
 
+        // Draw selection outline and vertex handles for select tool
+        if (this.selectedElement && this.currentTool === 'select') {
+            this.drawSelection(this.selectedElement);
+        }
+
         // Draw active element preview
         if (this.activeElement && this.isDrawing) {
-            if (this.currentTool === 'polygon' || this.currentTool === 'systemTract') {
+            if (['polygon', 'systemTract', 'region'].includes(this.currentTool)) {
                 this.drawPolygonPreview(this.currentMousePos);
-            } else if (this.currentTool === 'line' || this.currentTool === 'surface') {
+            } else if (this.currentTool === 'line' || this.currentTool === 'surface' ||
+                       this.currentTool === 'curve' || this.currentTool === 'trajectory') {
                 this.drawLinePreview(this.currentMousePos);
             }
         }
+
+        if (this.drawOverlay) {
+            this.drawOverlay(this.ctx, this);
+        }
+
+        if (this.crosshairY !== null && this.axes) {
+            this.drawCrosshair(this.axes.yToCanvas(this.crosshairY));
+        }
     }
 
     /**
@@ -1379,9 +2445,18 @@ class DrawingCanvas {
             case 'surface':
                 this.drawSurface(element);
                 break;
+            case 'trajectory':
+                this.drawTrajectory(element);
+                break;
             case 'systemTract':
                 this.drawSystemTract(element);
                 break;
+            case 'region':
+                this.drawRegion(element);
+                break;
+            case 'curve':
+                this.drawCurve(element);
+                break;
             case 'rolloverSquare':
                 this.drawRolloverSquare(element);
                 break;
@@ -1404,7 +2479,7 @@ class DrawingCanvas {
      * Draw strata number marker (circled number) - compact size
      */
     drawStrataNumber(element) {
-        const radius = 7;
+        const radius = this.px(7);
 
         // Draw white filled circle background
         this.ctx.beginPath();
@@ -1414,12 +2489,12 @@ class DrawingCanvas {
 
         // Draw circle border
         this.ctx.strokeStyle = '#000000';
-        this.ctx.lineWidth = 1.5;
+        this.ctx.lineWidth = this.px(1.5);
         this.ctx.stroke();
 
         // Draw number
         this.ctx.fillStyle = '#000000';
-        this.ctx.font = 'bold 9px Arial';
+        this.ctx.font = `bold ${this.px(9)}px Arial`;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         this.ctx.fillText(element.number.toString(), element.x, element.y);
@@ -1431,37 +2506,38 @@ class DrawingCanvas {
     drawDrillingSite(element) {
         const x = element.x;
         const y = element.y;
+        const px = (size) => this.px(size);
 
         // Draw derrick tower
         this.ctx.beginPath();
         this.ctx.strokeStyle = '#FF0000';
         this.ctx.fillStyle = '#FF0000';
-        this.ctx.lineWidth = 2;
+        this.ctx.lineWidth = px(2);
 
         // Triangle tower
-        this.ctx.moveTo(x, y - 25);      // Top
-        this.ctx.lineTo(x - 12, y + 10); // Bottom left
-        this.ctx.lineTo(x + 12, y + 10); // Bottom right
+        this.ctx.moveTo(x, y - px(25));      // Top
+        this.ctx.lineTo(x - px(12), y + px(10)); // Bottom left
+        this.ctx.lineTo(x + px(12), y + px(10)); // Bottom right
         this.ctx.closePath();
         this.ctx.stroke();
 
         // Cross braces
         this.ctx.beginPath();
-        this.ctx.moveTo(x - 8, y - 5);
-        this.ctx.lineTo(x + 8, y - 5);
-        this.ctx.moveTo(x - 5, y - 15);
-        this.ctx.lineTo(x + 5, y - 15);
+        this.ctx.moveTo(x - px(8), y - px(5));
+        this.ctx.lineTo(x + px(8), y - px(5));
+        this.ctx.moveTo(x - px(5), y - px(15));
+        this.ctx.lineTo(x + px(5), y - px(15));
         this.ctx.stroke();
 
         // Base platform
-        this.ctx.fillRect(x - 15, y + 10, 30, 5);
+        this.ctx.fillRect(x - px(15), y + px(10), px(30), px(5));
 
         // "DRILL" label
         this.ctx.fillStyle = '#FF0000';
-        this.ctx.font = 'bold 10px Arial';
+        this.ctx.font = `bold ${px(10)}px Arial`;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'top';
-        this.ctx.fillText('DRILL', x, y + 18);
+        this.ctx.fillText('DRILL', x, y + px(18));
     }
 
     /**
@@ -1473,8 +2549,8 @@ class DrawingCanvas {
         // Draw dashed line from rig to target
         ctx.beginPath();
         ctx.strokeStyle = element.color || '#FF0000';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = this.px(2);
+        ctx.setLineDash([this.px(6), this.px(4)]);
         ctx.moveTo(element.x1, element.y1);
         ctx.lineTo(element.x2, element.y2);
         ctx.stroke();
@@ -1482,11 +2558,11 @@ class DrawingCanvas {
 
         // Draw small target circle at reservoir
         ctx.beginPath();
-        ctx.arc(element.x2, element.y2, 5, 0, Math.PI * 2);
+        ctx.arc(element.x2, element.y2, this.px(5), 0, Math.PI * 2);
         ctx.fillStyle = '#FF0000';
         ctx.fill();
         ctx.strokeStyle = '#FFFFFF';
-        ctx.lineWidth = 1.5;
+        ctx.lineWidth = this.px(1.5);
         ctx.stroke();
     }
 
@@ -1499,19 +2575,19 @@ class DrawingCanvas {
         // Draw subtle dashed vertical line
         ctx.beginPath();
         ctx.strokeStyle = element.color || 'rgba(255, 0, 0, 0.4)';
-        ctx.lineWidth = 1.5;
-        ctx.setLineDash([4, 4]);
+        ctx.lineWidth = this.px(1.5);
+        ctx.setLineDash([this.px(4), this.px(4)]);
         ctx.moveTo(element.x, element.y1);
         ctx.lineTo(element.x, element.y2);
         ctx.stroke();
         ctx.setLineDash([]);
 
         // Small label at top
-        ctx.font = '8px Arial';
+        ctx.font = `${this.px(8)}px Arial`;
         ctx.fillStyle = 'rgba(255, 0, 0, 0.6)';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'bottom';
-        ctx.fillText('⛏', element.x, element.y1 - 2);
+        ctx.fillText('⛏', element.x, element.y1 - this.px(2));
     }
 
     /**
@@ -1522,7 +2598,7 @@ class DrawingCanvas {
 
         this.ctx.beginPath();
         this.ctx.strokeStyle = element.color;
-        this.ctx.lineWidth = element.width;
+        this.ctx.lineWidth = this.px(element.width);
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
 
@@ -1563,7 +2639,7 @@ class DrawingCanvas {
      * Draw marker (triangle)
      */
     drawMarker(element) {
-        const size = element.size || 12;
+        const size = this.px(element.size || 12);
 
         this.ctx.beginPath();
         this.ctx.moveTo(element.x, element.y);
@@ -1575,7 +2651,7 @@ class DrawingCanvas {
         this.ctx.fill();
 
         this.ctx.strokeStyle = '#000000';
-        this.ctx.lineWidth = 1;
+        this.ctx.lineWidth = this.px(1);
         this.ctx.stroke();
     }
 
@@ -1595,7 +2671,7 @@ class DrawingCanvas {
      */
     drawTermination(element) {
         const ctx = this.ctx;
-        const radius = 8;  // Smaller radius
+        const radius = this.px(8);  // Smaller radius
 
         // Draw filled circle with border
         ctx.beginPath();
@@ -1603,11 +2679,11 @@ class DrawingCanvas {
         ctx.fillStyle = element.color;
         ctx.fill();
         ctx.strokeStyle = '#000000';
-        ctx.lineWidth = 1.5;
+        ctx.lineWidth = this.px(1.5);
         ctx.stroke();
 
         // Draw the number inside the circle (white text for visibility)
-        ctx.font = 'bold 9px Arial';  // Smaller font
+        ctx.font = `bold ${this.px(9)}px Arial`;  // Smaller font
         ctx.fillStyle = '#FFFFFF';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
@@ -1615,6 +2691,44 @@ class DrawingCanvas {
 
         // Reset text alignment
         ctx.textAlign = 'left';
+
+        // Half-arrow lapout symbol pointing at the termination
+        if (this.terminationTypes[element.terminationType]) {
+            this.drawTerminationSymbol(element, radius);
+        }
+    }
+
+    /**
+     * Draw the conventional half-arrow for a termination type.
+     * The arrow ends just outside the numbered circle.
+     */
+    drawTerminationSymbol(element, radius) {
+        const ctx = this.ctx;
+        const symbol = this.terminationTypes[element.terminationType];
+        const dx = Math.cos(symbol.angle);
+        const dy = Math.sin(symbol.angle);
+        const length = this.px(18);
+        const headLength = this.px(7);
+
+        // Arrow travels in direction (dx, dy) and stops at the circle edge
+        const tipX = element.x - dx * (radius + this.px(2));
+        const tipY = element.y - dy * (radius + this.px(2));
+        const tailX = tipX - dx * length;
+        const tailY = tipY - dy * length;
+
+        // Single barb rotated 30 degrees back from the tip, on one side only
+        const barbAngle = symbol.angle + Math.PI - symbol.barb * Math.PI / 6;
+        const barbX = tipX + Math.cos(barbAngle) * headLength;
+        const barbY = tipY + Math.sin(barbAngle) * headLength;
+
+        ctx.beginPath();
+        ctx.moveTo(tailX, tailY);
+        ctx.lineTo(tipX, tipY);
+        ctx.lineTo(barbX, barbY);
+        ctx.strokeStyle = element.color;
+        ctx.lineWidth = this.px(2);
+        ctx.lineJoin = 'miter';
+        ctx.stroke();
     }
 
     /**
@@ -1627,17 +2741,19 @@ class DrawingCanvas {
         // Draw thick horizontal line
         ctx.beginPath();
         ctx.strokeStyle = element.color;
-        ctx.lineWidth = element.lineWidth || 4;
+        ctx.lineWidth = this.px(element.lineWidth || 4);
         ctx.moveTo(element.x1, element.y);
         ctx.lineTo(element.x2, element.y);
         ctx.stroke();
 
         // Draw label aligned at the left endpoint (below the line)
-        ctx.font = 'bold 9px Arial';
+        ctx.font = `bold ${this.px(9)}px Arial`;
         ctx.fillStyle = element.color;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
-        ctx.fillText(element.label, element.x1, element.y + 3);
+        const symbol = this.terminationTypes[element.terminationType];
+        const label = symbol ? `${element.label} ${symbol.abbreviation}` : element.label;
+        ctx.fillText(label, element.x1, element.y + this.px(3));
         ctx.textAlign = 'left';
     }
 
@@ -1647,7 +2763,7 @@ class DrawingCanvas {
      */
     drawRolloverSquare(element) {
         const ctx = this.ctx;
-        const size = 8;  // Same size as termination circles
+        const size = this.px(8);  // Same size as termination circles
 
         // Draw filled square
         ctx.fillStyle = element.color || '#FFA500';  // Orange
@@ -1655,10 +2771,75 @@ class DrawingCanvas {
 
         // Draw border
         ctx.strokeStyle = '#000000';
-        ctx.lineWidth = 1;
+        ctx.lineWidth = this.px(1);
         ctx.strokeRect(element.x - size/2, element.y - size/2, size, size);
     }
 
+    /**
+     * Join rollover squares into a shoreline-position curve through time
+     * (oldest = lowest on the Wheeler diagram)
+     */
+    drawShorelineCurve() {
+        const squares = this.elements
+            .filter(el => el.type === 'rolloverSquare')
+            .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+        if (squares.length < 2) return;
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.beginPath();
+        ctx.strokeStyle = '#FF8C00';
+        ctx.lineWidth = this.px(2);
+        ctx.lineJoin = 'round';
+        ctx.setLineDash([this.px(6), this.px(3)]);
+        ctx.moveTo(squares[0].x, squares[0].y);
+        for (let i = 1; i < squares.length; i++) {
+            ctx.lineTo(squares[i].x, squares[i].y);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Draw shoreline trajectory: each segment coloured by its classification
+     */
+    drawTrajectory(element) {
+        if (element.points.length < 2) return;
+
+        const ctx = this.ctx;
+        const segments = this.getTrajectorySegments(element);
+
+        segments.forEach((segment, i) => {
+            const from = element.points[i];
+            const to = element.points[i + 1];
+            const style = ShorelineTrajectory.CLASSES[segment.classification];
+
+            ctx.beginPath();
+            ctx.strokeStyle = style.color;
+            ctx.lineWidth = this.px(element.width || 2);
+            ctx.lineCap = 'round';
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+
+            // Classification label at the segment midpoint
+            ctx.font = 'bold 10px Arial';
+            ctx.fillStyle = style.color;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(style.abbreviation, (from.x + to.x) / 2, (from.y + to.y) / 2 - 4);
+        });
+        ctx.textAlign = 'left';
+
+        // Rollover nodes
+        element.points.forEach(point => {
+            ctx.beginPath();
+            ctx.fillStyle = '#333333';
+            ctx.arc(point.x, point.y, this.px(3), 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
     /**
      * Draw surface element (colored line with label)
      */
@@ -1670,7 +2851,7 @@ class DrawingCanvas {
         // Draw the line
         ctx.beginPath();
         ctx.strokeStyle = element.color;
-        ctx.lineWidth = element.width || 3;
+        ctx.lineWidth = this.px(element.width || 3);
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
 
@@ -1703,6 +2884,52 @@ class DrawingCanvas {
         ctx.textAlign = 'left';
     }
 
+    /**
+     * Draw sea-level panel curve (colored line labelled at its youngest point)
+     */
+    drawCurve(element) {
+        if (element.points.length < 2) return;
+
+        const ctx = this.ctx;
+
+        ctx.beginPath();
+        ctx.strokeStyle = element.color;
+        ctx.lineWidth = this.px(element.width || 3);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.moveTo(element.points[0].x, element.points[0].y);
+        for (let i = 1; i < element.points.length; i++) {
+            ctx.lineTo(element.points[i].x, element.points[i].y);
+        }
+        ctx.stroke();
+
+        // Label above the youngest (topmost) point
+        const top = element.points.reduce((a, b) => (b.y < a.y ? b : a));
+        const style = this.curveStyles[element.curveType];
+        ctx.font = 'bold 11px Arial';
+        ctx.fillStyle = element.color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(style ? style.label : element.curveType, top.x, top.y - 6);
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Draw the shared time crosshair across the whole canvas
+     */
+    drawCrosshair(y) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.lineWidth = this.px(1);
+        ctx.setLineDash([this.px(4), this.px(4)]);
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(this.canvas.width, y);
+        ctx.stroke();
+        ctx.restore();
+    }
+
     /**
      * Draw system tract element (filled polygon with label)
      */
@@ -1724,10 +2951,12 @@ class DrawingCanvas {
         ctx.fillStyle = this.hexToRgba(element.color, 0.4);
         ctx.fill();
 
-        // Stroke outline
+        // Stroke outline (dashed while only proposed by Auto Tract)
         ctx.strokeStyle = element.color;
         ctx.lineWidth = 2;
+        if (element.proposed) ctx.setLineDash([this.px(6), this.px(4)]);
         ctx.stroke();
+        ctx.setLineDash([]);
 
         // Calculate centroid for label
         let cx = 0, cy = 0;
@@ -1740,7 +2969,7 @@ class DrawingCanvas {
 
         // Draw label at centroid
         ctx.font = 'bold 12px Arial';
-        const labelText = element.tractType;
+        const labelText = element.proposed ? `${element.tractType}?` : element.tractType;
         const textWidth = ctx.measureText(labelText).width;
 
         // Background for label
@@ -1759,16 +2988,75 @@ class DrawingCanvas {
     }
 
     /**
-     * Draw highlight around element (for eraser hover)
+     * Draw a hiatus / erosional vacuity region: light fill with the standard
+     * hatch (vertical lines for hiatus, diagonal lines for erosion)
      */
-    drawElementHighlight(element) {
+    drawRegion(element) {
+        if (element.points.length < 3) return;
+        const ctx = this.ctx;
+        const style = this.regionStyles[element.regionType] || this.regionStyles.hiatus;
+
+        const outline = () => {
+            ctx.beginPath();
+            ctx.moveTo(element.points[0].x, element.points[0].y);
+            for (let i = 1; i < element.points.length; i++) {
+                ctx.lineTo(element.points[i].x, element.points[i].y);
+            }
+            ctx.closePath();
+        };
+
+        ctx.save();
+        outline();
+        ctx.fillStyle = this.hexToRgba(element.color, 0.15);
+        ctx.fill();
+
+        // Hatch inside the outline
+        ctx.clip();
+        const xs = element.points.map(p => p.x);
+        const ys = element.points.map(p => p.y);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const spacing = this.px(8);
+        const height = maxY - minY;
+
+        ctx.beginPath();
+        if (style.hatch === 'diagonal') {
+            for (let x = minX - height; x <= maxX; x += spacing) {
+                ctx.moveTo(x, maxY);
+                ctx.lineTo(x + height, minY);
+            }
+        } else {
+            for (let x = minX; x <= maxX; x += spacing) {
+                ctx.moveTo(x, minY);
+                ctx.lineTo(x, maxY);
+            }
+        }
+        ctx.strokeStyle = element.color;
+        ctx.lineWidth = this.px(1);
+        ctx.stroke();
+        ctx.restore();
+
+        // Outline on top of the hatch
+        outline();
+        ctx.strokeStyle = element.color;
+        ctx.lineWidth = this.px(1.5);
+        ctx.stroke();
+    }
+
+    /**
+     * Draw highlight around element (for eraser hover and selection)
+     */
+    drawElementHighlight(element, color = '#FF0000') {
         this.ctx.save();
-        this.ctx.strokeStyle = '#FF0000';
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([5, 5]);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = this.px(2);
+        this.ctx.setLineDash([this.px(5), this.px(5)]);
 
         switch (element.type) {
             case 'line':
+            case 'surface':
+            case 'trajectory':
+            case 'curve':
                 this.ctx.beginPath();
                 this.ctx.moveTo(element.points[0].x, element.points[0].y);
                 for (let i = 1; i < element.points.length; i++) {
@@ -1777,6 +3065,8 @@ class DrawingCanvas {
                 this.ctx.stroke();
                 break;
             case 'polygon':
+            case 'systemTract':
+            case 'region':
                 this.ctx.beginPath();
                 this.ctx.moveTo(element.points[0].x, element.points[0].y);
                 for (let i = 1; i < element.points.length; i++) {
@@ -1787,7 +3077,7 @@ class DrawingCanvas {
                 break;
             case 'marker':
                 this.ctx.beginPath();
-                this.ctx.arc(element.x, element.y - 6, 15, 0, Math.PI * 2);
+                this.ctx.arc(element.x, element.y - this.px(6), this.px(15), 0, Math.PI * 2);
                 this.ctx.stroke();
                 break;
             case 'text':
@@ -1796,12 +3086,23 @@ class DrawingCanvas {
                 break;
             case 'strataNumber':
                 this.ctx.beginPath();
-                this.ctx.arc(element.x, element.y, 10, 0, Math.PI * 2);
+                this.ctx.arc(element.x, element.y, this.px(10), 0, Math.PI * 2);
                 this.ctx.stroke();
                 break;
+            case 'termination':
+                this.ctx.beginPath();
+                this.ctx.arc(element.x, element.y, this.px(12), 0, Math.PI * 2);
+                this.ctx.stroke();
+                break;
+            case 'terminationLine':
+                this.ctx.strokeRect(element.x1 - this.px(3), element.y - this.px(6), element.x2 - element.x1 + this.px(6), this.px(12));
+                break;
+            case 'rolloverSquare':
+                this.ctx.strokeRect(element.x - this.px(8), element.y - this.px(8), this.px(16), this.px(16));
+                break;
             case 'drillingSite':
                 this.ctx.beginPath();
-                this.ctx.arc(element.x, element.y, 22, 0, Math.PI * 2);
+                this.ctx.arc(element.x, element.y, this.px(22), 0, Math.PI * 2);
                 this.ctx.stroke();
                 break;
             case 'drillingLine':
@@ -1840,7 +3141,14 @@ class DrawingCanvas {
         this.cancelCurrentOperation();
         this.currentTool = tool;
         this.hoverElement = null;
-        this.canvas.style.cursor = 'crosshair';
+        this.selectedElement = null;
+        if (tool === 'select') {
+            this.canvas.style.cursor = 'default';
+        } else {
+            // No tool: the canvas does not take the current tool (e.g. sea-level panel)
+            this.canvas.style.cursor = tool ? 'crosshair' : 'not-allowed';
+        }
+        this.redraw();
     }
 
     /**
@@ -1868,24 +3176,71 @@ class DrawingCanvas {
      * Get current state for saving
      */
     getState() {
+        if (!this.axes) {
+            return {
+                elements: JSON.parse(JSON.stringify(this.elements)),
+                canvasId: this.canvasId
+            };
+        }
+
         return {
-            elements: JSON.parse(JSON.stringify(this.elements)),
+            elements: this.getWorldElements(),
+            coordinates: 'world',
+            axes: this.axes.describe(),
+            nextId: this.nextId,
             canvasId: this.canvasId
         };
     }
 
     /**
-     * Load state from saved data
+     * Get a copy of all elements with geometry in world units
+     */
+    getWorldElements() {
+        if (!this.axes) return JSON.parse(JSON.stringify(this.elements));
+        return this.elements.map(el => this.axes.elementToWorld(el));
+    }
+
+    /**
+     * Set the axis transform used for saving and the cursor readout
+     */
+    setAxes(axes) {
+        this.axes = axes;
+    }
+
+    /**
+     * Load state from saved data.
+     * World-unit states are converted to the current canvas size;
+     * older pixel-based saves are loaded as they are.
      */
     loadState(state) {
         if (state && state.elements) {
-            this.elements = state.elements;
+            this.elements = this.elementsFromState(state);
+
+            // Keep saved IDs (links refer to them); continue numbering after the
+            // highest, and never reuse IDs of elements cleared earlier
+            this.nextId = state.nextId || 1;
+            this.elements.forEach(el => {
+                const match = typeof el.id === 'string' && el.id.match(/-(\d+)$/);
+                if (match) this.nextId = Math.max(this.nextId, parseInt(match[1], 10) + 1);
+            });
+            this.elements.forEach(el => this.assignId(el));
             this.undoStack = [];
             this.redoStack = [];
+            if (this.history) this.history.forgetCanvas(this);
             this.redraw();
         }
     }
 
+    /**
+     * Elements of a saved state in canvas pixels
+     */
+    elementsFromState(state) {
+        if (state.coordinates === 'world' && this.axes) {
+            return state.elements.map(el => this.axes.elementToCanvas(el));
+        }
+        return state.elements;
+    }
+
     /**
      * Check if canvas has any elements
      */
@@ -1983,6 +3338,11 @@ class CrossSectionBackground {
         this.image = null;
         this.imageLoaded = false;
 
+        // Full-resolution source drawn under the current zoom/pan
+        // (the loaded image, or an offscreen copy of the synthetic section)
+        this.source = null;
+        this.viewport = null;
+
         // Diagram dimensions (based on spec: 0-150km, 0-700m)
         this.xMin = 0;
         this.xMax = 150; // km
@@ -1992,6 +3352,32 @@ class CrossSectionBackground {
         this.padding = { top: 40, right: 40, bottom: 60, left: 70 };
     }
 
+    /**
+     * Get the pixel <-> km/m transform.
+     * The exam image spans the full 0-150 km x 0-700 m range edge to edge;
+     * the synthetic section draws its axes inside the padding.
+     */
+    getAxisTransform() {
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const p = this.padding;
+        const plotArea = this.imageLoaded
+            ? { left: 0, top: 0, width: w, height: h }
+            : { left: p.left, top: p.top, width: w - p.left - p.right, height: h - p.top - p.bottom };
+
+        return new AxisTransform({
+            xMin: this.xMin,
+            xMax: this.xMax,
+            yMin: this.yMin,
+            yMax: this.yMax,
+            plotArea: plotArea,
+            xLabel: 'Distance',
+            xUnit: 'km',
+            yLabel: 'Depth',
+            yUnit: 'm'
+        });
+    }
+
     /**
      * Initialize and draw background
      */
@@ -2001,7 +3387,49 @@ class CrossSectionBackground {
         } else {
             this.setCanvasSize(1400, 500);
             this.drawSyntheticCrossSection();
+            this.cacheSource();
+        }
+    }
+
+    /**
+     * Attach a zoom/pan view; the background re-renders when it changes
+     */
+    setViewport(viewport) {
+        this.viewport = viewport;
+        viewport.setSize(this.canvas.width, this.canvas.height);
+        viewport.onChange(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Keep an offscreen copy of what was drawn, so it can be re-rendered zoomed
+     */
+    cacheSource() {
+        const copy = document.createElement('canvas');
+        copy.width = this.canvas.width;
+        copy.height = this.canvas.height;
+        copy.getContext('2d').drawImage(this.canvas, 0, 0);
+        this.source = copy;
+    }
+
+    /**
+     * Draw the source under the current zoom/pan.
+     * The full-resolution image is used as source, so zooming in reveals
+     * detail lost when the canvas was scaled down to 1400px.
+     */
+    render() {
+        if (!this.source) return;
+
+        const ctx = this.ctx;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (this.viewport) {
+            this.viewport.applyTo(ctx);
         }
+        ctx.drawImage(this.source, 0, 0, this.canvas.width, this.canvas.height);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
     }
 
     /**
@@ -2024,7 +3452,8 @@ class CrossSectionBackground {
 
                 this.canvas.width = targetWidth;
                 this.canvas.height = targetHeight;
-                this.ctx.drawImage(this.image, 0, 0, targetWidth, targetHeight);
+                this.source = this.image;
+                this.render();
                 this.imageLoaded = true;
                 resolve();
             };
@@ -2032,6 +3461,7 @@ class CrossSectionBackground {
                 console.warn('Failed to load cross-section image, generating synthetic one');
                 this.setCanvasSize(1400, 500);
                 this.drawSyntheticCrossSection();
+                this.cacheSource();
                 resolve();
             };
             this.image.src = this.imageSrc;
@@ -2299,6 +3729,31 @@ class WheelerDiagramBackground {
         this.yMax = 50; // Time units
 
         this.padding = { top: 40, right: 40, bottom: 60, left: 70 };
+        this.viewport = null;
+    }
+
+    /**
+     * Get the pixel <-> km/time transform (time increases upwards)
+     */
+    getAxisTransform() {
+        const p = this.padding;
+        return new AxisTransform({
+            xMin: this.xMin,
+            xMax: this.xMax,
+            yMin: this.yMin,
+            yMax: this.yMax,
+            plotArea: {
+                left: p.left,
+                top: p.top,
+                width: this.canvas.width - p.left - p.right,
+                height: this.canvas.height - p.top - p.bottom
+            },
+            invertY: true,
+            xLabel: 'Distance',
+            xUnit: 'km',
+            yLabel: 'Time',
+            yUnit: ''
+        });
     }
 
     /**
@@ -2310,6 +3765,16 @@ class WheelerDiagramBackground {
         this.draw();
     }
 
+    /**
+     * Attach a zoom/pan view; the grid is redrawn when it changes
+     */
+    setViewport(viewport) {
+        this.viewport = viewport;
+        viewport.setSize(this.canvas.width, this.canvas.height);
+        viewport.onChange(() => this.draw());
+        this.draw();
+    }
+
     /**
      * Draw the Wheeler diagram grid
      */
@@ -2320,14 +3785,21 @@ class WheelerDiagramBackground {
         const p = this.padding;
 
         // Clear
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.fillStyle = '#FFFFFF';
         ctx.fillRect(0, 0, w, h);
 
+        if (this.viewport) {
+            this.viewport.applyTo(ctx);
+        }
+
         // Draw grid
         this.drawGrid();
 
         // Draw axes
         this.drawAxes();
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
     }
 
     /**
@@ -2438,7 +3910,345 @@ class WheelerDiagramBackground {
     }
 }
 
+/**
+ * Relative Sea-Level / Sediment-Supply Panel Background
+ * Sits next to the Wheeler diagram and uses the same time axis: same
+ * canvas height, same top/bottom padding, so a time step is at the same
+ * height in both panels. The horizontal axis is relative (low -> high).
+ */
+class CurvePanelBackground {
+    constructor(canvasId, wheelerBackground) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.xMin = 0;
+        this.xMax = 100; // Relative change, low -> high
+        this.yMin = wheelerBackground.yMin;
+        this.yMax = wheelerBackground.yMax;
+
+        // Vertical padding must match the Wheeler diagram to share the time scale
+        const wp = wheelerBackground.padding;
+        this.padding = { top: wp.top, right: 20, bottom: wp.bottom, left: 50 };
+        this.viewport = null;
+    }
+
+    /**
+     * Get the pixel <-> relative value/time transform (time increases upwards)
+     */
+    getAxisTransform() {
+        const p = this.padding;
+        return new AxisTransform({
+            xMin: this.xMin,
+            xMax: this.xMax,
+            yMin: this.yMin,
+            yMax: this.yMax,
+            plotArea: {
+                left: p.left,
+                top: p.top,
+                width: this.canvas.width - p.left - p.right,
+                height: this.canvas.height - p.top - p.bottom
+            },
+            invertY: true,
+            xLabel: 'Relative change',
+            xUnit: '',
+            yLabel: 'Time',
+            yUnit: ''
+        });
+    }
+
+    /**
+     * Initialize and draw (height should equal the Wheeler canvas height)
+     */
+    init(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.draw();
+    }
+
+    /**
+     * Attach a zoom/pan view; the grid is redrawn when it changes
+     */
+    setViewport(viewport) {
+        this.viewport = viewport;
+        viewport.setSize(this.canvas.width, this.canvas.height);
+        viewport.onChange(() => this.draw());
+        this.draw();
+    }
+
+    /**
+     * Draw the panel grid and axes
+     */
+    draw() {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, w, h);
+
+        if (this.viewport) {
+            this.viewport.applyTo(ctx);
+        }
+
+        this.drawGrid();
+        this.drawAxes();
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    /**
+     * Draw grid lines (same time lines as the Wheeler diagram)
+     */
+    drawGrid() {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const p = this.padding;
+
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 0.3;
+        ctx.setLineDash([2, 4]);
+
+        // Vertical lines (quarters of the relative scale)
+        for (let v = 0; v <= 100; v += 25) {
+            const xPos = p.left + (v / 100) * (w - p.left - p.right);
+            ctx.beginPath();
+            ctx.moveTo(xPos, p.top);
+            ctx.lineTo(xPos, h - p.bottom);
+            ctx.stroke();
+        }
+
+        // Horizontal lines (every time unit)
+        for (let t = this.yMin; t <= this.yMax; t += 1) {
+            const yPos = h - p.bottom - ((t - this.yMin) / (this.yMax - this.yMin)) * (h - p.top - p.bottom);
+            ctx.beginPath();
+            ctx.moveTo(p.left, yPos);
+            ctx.lineTo(w - p.right, yPos);
+            ctx.stroke();
+        }
+
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Draw axes
+     */
+    drawAxes() {
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const p = this.padding;
+
+        ctx.strokeStyle = '#000000';
+        ctx.fillStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.font = '12px Arial';
+
+        // Y-axis (Time) with the Wheeler labels
+        ctx.beginPath();
+        ctx.moveTo(p.left, p.top);
+        ctx.lineTo(p.left, h - p.bottom);
+        ctx.stroke();
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let t = this.yMin; t <= this.yMax; t += 10) {
+            const y = h - p.bottom - ((t - this.yMin) / (this.yMax - this.yMin)) * (h - p.top - p.bottom);
+            ctx.fillText(t.toString(), p.left - 10, y);
+
+            ctx.beginPath();
+            ctx.moveTo(p.left - 5, y);
+            ctx.lineTo(p.left, y);
+            ctx.stroke();
+        }
+
+        // X-axis (relative change)
+        ctx.beginPath();
+        ctx.moveTo(p.left, h - p.bottom);
+        ctx.lineTo(w - p.right, h - p.bottom);
+        ctx.stroke();
+
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText('low / fall', p.left, h - p.bottom + 10);
+        ctx.textAlign = 'right';
+        ctx.fillText('high / rise', w - p.right, h - p.bottom + 10);
+
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 14px Arial';
+        ctx.fillText('Relative change', (p.left + w - p.right) / 2, h - 15);
+
+        // Title
+        ctx.font = 'bold 16px Arial';
+        ctx.fillText('Sea Level & Supply', w / 2, 15);
+        ctx.textAlign = 'left';
+    }
+}
+
+/**
+ * Canvas Viewport
+ * Zoom/pan state shared by a background canvas and its drawing canvas.
+ * Maps between canvas pixels (what is on screen) and image space
+ * (the unzoomed canvas in which all elements are stored).
+ */
+class CanvasViewport {
+    constructor(options = {}) {
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.minScale = 1;  // Never zoom out past the full extent
+        this.maxScale = options.maxScale || 8;
+
+        this.width = 0;
+        this.height = 0;
+        this.listeners = [];
+    }
+
+    /**
+     * Set the canvas size used to keep the view inside the image
+     */
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.clamp();
+    }
+
+    /**
+     * Register a callback for view changes
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Notify listeners
+     */
+    notify() {
+        this.listeners.forEach(callback => callback(this));
+    }
+
+    /**
+     * Convert canvas pixels to image space
+     */
+    toImage(pos) {
+        return {
+            x: (pos.x - this.offsetX) / this.scale,
+            y: (pos.y - this.offsetY) / this.scale
+        };
+    }
+
+    /**
+     * Convert image space to canvas pixels
+     */
+    toCanvas(pos) {
+        return {
+            x: pos.x * this.scale + this.offsetX,
+            y: pos.y * this.scale + this.offsetY
+        };
+    }
+
+    /**
+     * Zoom by a factor, keeping the given canvas point fixed
+     */
+    zoomAt(pos, factor) {
+        const newScale = Math.min(this.maxScale, Math.max(this.minScale, this.scale * factor));
+        if (newScale === this.scale) return;
+
+        const imagePos = this.toImage(pos);
+        this.scale = newScale;
+        this.offsetX = pos.x - imagePos.x * newScale;
+        this.offsetY = pos.y - imagePos.y * newScale;
+
+        this.clamp();
+        this.notify();
+    }
+
+    /**
+     * Zoom by a factor around the centre of the canvas
+     */
+    zoomCenter(factor) {
+        this.zoomAt({ x: this.width / 2, y: this.height / 2 }, factor);
+    }
+
+    /**
+     * Pan by an offset in canvas pixels
+     */
+    panBy(dx, dy) {
+        this.offsetX += dx;
+        this.offsetY += dy;
+        this.clamp();
+        this.notify();
+    }
+
+    /**
+     * Keep the zoomed image covering the whole canvas
+     */
+    clamp() {
+        this.offsetX = Math.min(0, Math.max(this.width - this.width * this.scale, this.offsetX));
+        this.offsetY = Math.min(0, Math.max(this.height - this.height * this.scale, this.offsetY));
+    }
+
+    /**
+     * Return to the full extent
+     */
+    reset() {
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.notify();
+    }
+
+    /**
+     * Check if the view shows the full extent
+     */
+    isFullExtent() {
+        return this.scale === 1 && this.offsetX === 0 && this.offsetY === 0;
+    }
+
+    /**
+     * Run a function with the view temporarily at full extent
+     * (used to capture exports independently of the current zoom)
+     */
+    withFullExtent(fn) {
+        if (this.isFullExtent()) return fn();
+
+        const saved = { scale: this.scale, offsetX: this.offsetX, offsetY: this.offsetY };
+        this.reset();
+        try {
+            return fn();
+        } finally {
+            Object.assign(this, saved);
+            this.notify();
+        }
+    }
+
+    /**
+     * Follow the vertical zoom/pan of another view (panels sharing a time
+     * axis). The horizontal centre of this view is kept.
+     */
+    linkVertical(other) {
+        other.onChange(() => {
+            if (this.scale === other.scale && this.offsetY === other.offsetY) return;
+
+            const centreX = (this.width / 2 - this.offsetX) / this.scale;
+            this.scale = other.scale;
+            this.offsetX = this.width / 2 - centreX * this.scale;
+            this.offsetY = other.offsetY;
+            this.clamp();
+            this.notify();
+        });
+    }
+
+    /**
+     * Apply the view transform to a 2D context
+     */
+    applyTo(ctx) {
+        ctx.setTransform(this.scale, 0, 0, this.scale, this.offsetX, this.offsetY);
+    }
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { DrawingCanvas, CrossSectionBackground, WheelerDiagramBackground };
+    module.exports = { DrawingCanvas, CrossSectionBackground, WheelerDiagramBackground, CurvePanelBackground, CanvasViewport };
 }
@@ -0,0 +1,305 @@
+/**
+ * Sequence Stratigraphy Exam - Consistency Checker Module
+ * Checks the traced surfaces and system tracts against basic sequence
+ * stratigraphic rules. Works in world units (km / m on the cross-section,
+ * km / time on the Wheeler diagram) and reports problems with the IDs of
+ * the elements involved, so they can be highlighted.
+ */
+
+const ConsistencyChecker = {
+    // A surface within this many metres of a tract's top or base bounds it
+    BOUNDARY_TOLERANCE: 20,
+    // Surfaces must be at least this far apart (m) on both sides to count as crossing
+    CROSSING_TOLERANCE: 2,
+    // Tracts must share more than this (km) along a time step to overlap
+    OVERLAP_TOLERANCE: 0.5,
+    // Time resolution of the Wheeler overlap scan
+    TIME_STEP: 0.25,
+
+    // Surfaces expected at the base and top of each tract (CC is an SB, MRS taken with the TS)
+    TRACT_BOUNDS: {
+        FSST: { base: ['BSFR'], top: ['SB', 'CC'] },
+        LST:  { base: ['SB', 'CC'], top: ['TS', 'MRS'] },
+        TST:  { base: ['TS', 'MRS'], top: ['MFS'] },
+        HST:  { base: ['MFS'], top: ['SB', 'CC', 'BSFR'] },
+        RST:  { base: ['MFS'], top: ['MRS', 'TS'] }
+    },
+
+    // Tracts that may directly follow (overlie) each tract
+    TRACT_SUCCESSORS: {
+        FSST: ['FSST', 'LST'],
+        LST:  ['LST', 'TST'],
+        TST:  ['TST', 'HST'],
+        HST:  ['HST', 'FSST', 'LST']
+    },
+
+    /**
+     * Run all checks
+     * @param {Object} input
+     * @param {Array} input.crossSection - Cross-section elements (world units, with id)
+     * @param {Array} input.wheeler - Wheeler elements (world units, with id)
+     * @returns {Array} Problems { rule, message, canvas: 'crossSection'|'wheeler', ids }
+     */
+    check(input) {
+        const sectionElements = input.crossSection || [];
+        const wheelerElements = input.wheeler || [];
+        const surfaces = sectionElements.filter(el => el.type === 'surface' && el.points.length >= 2);
+        const sectionTracts = sectionElements.filter(el => el.type === 'systemTract' && el.points.length >= 3);
+        const wheelerTracts = wheelerElements.filter(el => el.type === 'systemTract' && el.points.length >= 3);
+
+        return [
+            ...this.checkCrossingSurfaces(surfaces),
+            ...this.checkTractBounds(sectionTracts, surfaces),
+            ...this.checkSectionOrder(sectionTracts),
+            ...this.checkWheelerOrder(wheelerTracts),
+            ...this.checkWheelerOverlap(wheelerTracts)
+        ];
+    },
+
+    /**
+     * Surfaces cannot cross each other: a younger surface may cut down onto
+     * an older one, but the older one then ends there
+     */
+    checkCrossingSurfaces(surfaces) {
+        const problems = [];
+
+        for (let i = 0; i < surfaces.length; i++) {
+            for (let j = i + 1; j < surfaces.length; j++) {
+                const crossing = this.findCrossing(surfaces[i], surfaces[j]);
+                if (crossing === null) continue;
+                problems.push({
+                    rule: 'crossing-surfaces',
+                    message: `${surfaces[i].surfaceType} and ${surfaces[j].surfaceType} cross at about ${crossing.toFixed(1)} km`,
+                    canvas: 'crossSection',
+                    ids: [surfaces[i].id, surfaces[j].id]
+                });
+            }
+        }
+
+        return problems;
+    },
+
+    /**
+     * Distance where surface b goes from one side of surface a to the other, or null
+     */
+    findCrossing(a, b) {
+        const xs = [...new Set([...a.points, ...b.points].map(p => p.x))].sort((p, q) => p - q);
+        let side = 0;
+        let lastX = null;
+
+        for (const x of xs) {
+            const depthA = WheelerBuilder.depthAt(a, x);
+            const depthB = WheelerBuilder.depthAt(b, x);
+            if (depthA === null || depthB === null) continue;
+
+            const difference = depthB - depthA;
+            if (Math.abs(difference) <= this.CROSSING_TOLERANCE) continue;
+
+            const current = Math.sign(difference);
+            if (side !== 0 && current !== side) return (lastX + x) / 2;
+            side = current;
+            lastX = x;
+        }
+        return null;
+    },
+
+    /**
+     * Each cross-section tract should lie on and below the surfaces that
+     * define it (e.g. TST between TS/MRS and MFS)
+     */
+    checkTractBounds(tracts, surfaces) {
+        const problems = [];
+
+        tracts.forEach(tract => {
+            const expected = this.TRACT_BOUNDS[tract.tractType];
+            if (!expected) return;
+
+            const found = { base: new Map(), top: new Map() };
+            this.sampleColumns(tract).forEach(column => {
+                surfaces.forEach(surface => {
+                    const depth = WheelerBuilder.depthAt(surface, column.x);
+                    if (depth === null) return;
+                    if (Math.abs(depth - column.base) <= this.BOUNDARY_TOLERANCE) found.base.set(surface.surfaceType, surface.id);
+                    if (Math.abs(depth - column.top) <= this.BOUNDARY_TOLERANCE) found.top.set(surface.surfaceType, surface.id);
+                });
+            });
+
+            ['base', 'top'].forEach(side => {
+                const types = [...found[side].keys()];
+                if (types.some(type => expected[side].includes(type))) return;
+
+                const where = side === 'base' ? 'below' : 'above';
+                const wanted = expected[side].join('/');
+                problems.push({
+                    rule: 'tract-bounds',
+                    message: types.length > 0
+                        ? `${tract.tractType} is bounded ${where} by ${types.join('/')}, expected ${wanted}`
+                        : `${tract.tractType} has no ${wanted} traced ${where} it`,
+                    canvas: 'crossSection',
+                    ids: [tract.id, ...found[side].values()]
+                });
+            });
+        });
+
+        return problems;
+    },
+
+    /**
+     * Tracts stacked on the cross-section must follow the systems tract
+     * succession (e.g. no TST directly on an HST - an SB comes between)
+     */
+    checkSectionOrder(tracts) {
+        const problems = [];
+        const reported = new Set();
+
+        tracts.forEach(tract => {
+            this.sampleColumns(tract).forEach(column => {
+                // Nearest tract above this column
+                let above = null;
+                let aboveBase = -Infinity;
+                tracts.forEach(other => {
+                    if (other === tract) return;
+                    const range = this.verticalRange(other.points, column.x);
+                    if (!range || range.base > column.top + this.BOUNDARY_TOLERANCE) return;
+                    if (range.base > aboveBase) {
+                        above = other;
+                        aboveBase = range.base;
+                    }
+                });
+
+                if (above) this.checkSuccession(tract, above, 'crossSection', problems, reported);
+            });
+        });
+
+        return problems;
+    },
+
+    /**
+     * Tracts following each other in time at the same place on the Wheeler
+     * diagram must follow the systems tract succession
+     */
+    checkWheelerOrder(tracts) {
+        const problems = [];
+        const reported = new Set();
+        const spans = tracts.map(tract => ({ tract: tract, ...this.span(tract.points) }));
+
+        spans.forEach(older => {
+            let next = null;
+            spans.forEach(younger => {
+                if (younger === older) return;
+                if (younger.yMin < older.yMax - WheelerBuilder.TIME_TOLERANCE) return;
+                if (Math.min(older.xMax, younger.xMax) - Math.max(older.xMin, younger.xMin) <= this.OVERLAP_TOLERANCE) return;
+                if (!next || younger.yMin < next.yMin) next = younger;
+            });
+
+            if (next) this.checkSuccession(older.tract, next.tract, 'wheeler', problems, reported);
+        });
+
+        return problems;
+    },
+
+    checkSuccession(older, younger, canvas, problems, reported) {
+        const allowed = this.TRACT_SUCCESSORS[older.tractType];
+        if (!allowed || !this.TRACT_SUCCESSORS[younger.tractType]) return;
+        if (allowed.includes(younger.tractType)) return;
+
+        const key = `${older.id}>${younger.id}`;
+        if (reported.has(key)) return;
+        reported.add(key);
+
+        problems.push({
+            rule: 'tract-order',
+            message: `${younger.tractType} directly above ${older.tractType}: expected ${allowed.filter(t => t !== older.tractType).join(' or ')}` +
+                (older.tractType === 'HST' && younger.tractType === 'TST'
+                    ? ' (an HST lies above the MFS; a new TST needs an SB and LST first)'
+                    : ''),
+            canvas: canvas,
+            ids: [older.id, younger.id]
+        });
+    },
+
+    /**
+     * Two tracts cannot occupy the same place at the same time
+     */
+    checkWheelerOverlap(tracts) {
+        const problems = [];
+
+        for (let i = 0; i < tracts.length; i++) {
+            for (let j = i + 1; j < tracts.length; j++) {
+                const a = this.span(tracts[i].points);
+                const b = this.span(tracts[j].points);
+                const t0 = Math.max(a.yMin, b.yMin);
+                const t1 = Math.min(a.yMax, b.yMax);
+                if (t1 <= t0) continue;
+
+                let first = null;
+                let last = null;
+                for (let t = t0 + this.TIME_STEP / 2; t < t1; t += this.TIME_STEP) {
+                    const rowsA = WheelerBuilder.coveredIntervals([tracts[i]], t);
+                    const rowsB = WheelerBuilder.coveredIntervals([tracts[j]], t);
+                    const overlaps = rowsA.some(ra => rowsB.some(rb =>
+                        Math.min(ra.x2, rb.x2) - Math.max(ra.x1, rb.x1) > this.OVERLAP_TOLERANCE
+                    ));
+                    if (overlaps) {
+                        if (first === null) first = t;
+                        last = t;
+                    }
+                }
+                if (first === null) continue;
+
+                const from = Math.max(t0, first - this.TIME_STEP / 2);
+                const to = Math.min(t1, last + this.TIME_STEP / 2);
+                problems.push({
+                    rule: 'wheeler-overlap',
+                    message: `${tracts[i].tractType} and ${tracts[j].tractType} overlap in time (${from.toFixed(1)}-${to.toFixed(1)})`,
+                    canvas: 'wheeler',
+                    ids: [tracts[i].id, tracts[j].id]
+                });
+            }
+        }
+
+        return problems;
+    },
+
+    /**
+     * Top and base of a polygon at a few positions across it
+     */
+    sampleColumns(polygon) {
+        const { xMin, xMax } = this.span(polygon.points);
+        return [0.25, 0.5, 0.75]
+            .map(f => xMin + f * (xMax - xMin))
+            .map(x => ({ x: x, ...this.verticalRange(polygon.points, x) }))
+            .filter(column => column.top !== undefined);
+    },
+
+    /**
+     * Shallowest and deepest crossing of a vertical line with a polygon
+     */
+    verticalRange(points, x) {
+        const ys = [];
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            if ((a.x <= x && b.x > x) || (b.x <= x && a.x > x)) {
+                ys.push(a.y + (x - a.x) * (b.y - a.y) / (b.x - a.x));
+            }
+        }
+        return ys.length >= 2 ? { top: Math.min(...ys), base: Math.max(...ys) } : null;
+    },
+
+    span(points) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        return {
+            xMin: Math.min(...xs),
+            xMax: Math.max(...xs),
+            yMin: Math.min(...ys),
+            yMax: Math.max(...ys)
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsistencyChecker;
+}
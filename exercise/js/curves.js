@@ -0,0 +1,100 @@
+/**
+ * Sequence Stratigraphy Exam - Sea-Level Curve Module
+ * Reads the relative sea-level (RSL) and sediment-supply curves sketched in
+ * the panel next to the Wheeler diagram. Curves are in world units:
+ * x = relative value (0 low/fall .. 100 high/rise), y = Wheeler time.
+ */
+
+const SeaLevelCurves = {
+    // Swings smaller than this (back from the last high or low) are treated
+    // as a stillstand or sketching jitter
+    MIN_CHANGE: 2,
+
+    LABELS: {
+        seaLevel: 'Relative sea level',
+        supply: 'Sediment supply'
+    },
+
+    /**
+     * Curve points ordered from oldest to youngest
+     * @param {Array} points - [{ x: value, y: time }]
+     * @returns {Array}
+     */
+    byTime(points) {
+        return [...(points || [])].sort((a, b) => a.y - b.y);
+    },
+
+    /**
+     * Find the highs and lows of a curve (where it turns from rising to
+     * falling or back). A sea-level high marks the start of the fall, a
+     * low its end - the times at which the systems tracts change.
+     * @param {Array} points - [{ x: value, y: time }]
+     * @returns {Array} [{ time, value, kind: 'high'|'low' }], oldest first
+     */
+    findTurningPoints(points) {
+        const sorted = this.byTime(points);
+        const turns = [];
+        if (sorted.length < 2) return turns;
+
+        // Changes are measured from the running extreme, not from the previous
+        // point, so densely sketched curves (tiny steps) still turn
+        let direction = 0;
+        let extreme = sorted[0];
+
+        for (let i = 1; i < sorted.length; i++) {
+            const point = sorted[i];
+            const change = point.x - extreme.x;
+
+            if (direction === 0) {
+                if (Math.abs(change) >= this.MIN_CHANGE) {
+                    direction = Math.sign(change);
+                    extreme = point;
+                }
+            } else if (change * direction >= 0) {
+                extreme = point;
+            } else if (Math.abs(change) >= this.MIN_CHANGE) {
+                turns.push({
+                    time: this.round(extreme.y),
+                    value: this.round(extreme.x),
+                    kind: direction > 0 ? 'high' : 'low'
+                });
+                direction = -direction;
+                extreme = point;
+            }
+        }
+
+        return turns;
+    },
+
+    /**
+     * Summarize the curves of the panel for the export
+     * @param {Array} elements - Panel elements in world units
+     * @returns {Object} { seaLevel: {...}, supply: {...} }
+     */
+    summarize(elements) {
+        const summary = {};
+        Object.keys(this.LABELS).forEach(type => {
+            const curves = (elements || []).filter(el => el.type === 'curve' && el.curveType === type);
+            const times = curves.flatMap(el => el.points.map(p => p.y));
+            summary[type] = {
+                label: this.LABELS[type],
+                curves: curves.length,
+                timeRange: times.length > 0
+                    ? [this.round(Math.min(...times)), this.round(Math.max(...times))]
+                    : null,
+                turningPoints: curves.flatMap(el => this.findTurningPoints(el.points))
+                    .sort((a, b) => a.time - b.time)
+            };
+        });
+        return summary;
+    },
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeaLevelCurves;
+}
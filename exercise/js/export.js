@@ -1,9 +1,37 @@
 /**
  * Sequence Stratigraphy Exam - Export Module
- * Handles exam export to JSON and PNG for grading
+ * Handles exam export (PDF report and JSON data, bundled as ZIP) for grading
  */
 
 const ExamExport = {
+    // Identifies the JSON data for re-import; bump SCHEMA_VERSION whenever
+    // the layout changes in a way older readers would get wrong
+    FORMAT: 'seqstrat-submission',
+    SCHEMA_VERSION: 1,
+
+    // Wheeler gap regions, as hatched on the canvas
+    REGION_LEGEND: {
+        hiatus: { label: 'Hiatus (non-deposition)', hatch: 'vertical' },
+        erosion: { label: 'Erosional vacuity', hatch: 'diagonal' }
+    },
+
+    // Names for the PDF colour legend (the colours come from the drawing canvas)
+    SURFACE_NAMES: {
+        SB: 'Sequence Boundary',
+        TS: 'Transgressive Surface',
+        MFS: 'Maximum Flooding Surface',
+        BSFR: 'Basal Surface of Forced Regression',
+        CC: 'Correlative Conformity',
+        MRS: 'Maximum Regressive Surface'
+    },
+    TRACT_NAMES: {
+        HST: 'Highstand Systems Tract',
+        TST: 'Transgressive Systems Tract',
+        LST: 'Lowstand Systems Tract',
+        FSST: 'Falling Stage Systems Tract',
+        RST: 'Regressive Systems Tract'
+    },
+
     /**
      * Generate complete exam export data
      * @param {Object} examData - All exam data
@@ -14,6 +42,8 @@ const ExamExport = {
 
         return {
             metadata: {
+                format: this.FORMAT,
+                schemaVersion: this.SCHEMA_VERSION,
                 examVersion: '1.0',
                 courseCode: 'AS-F1 / GT-F1',
                 courseName: 'Seismo- und Sequenzstratigraphie',
@@ -33,16 +63,31 @@ const ExamExport = {
                 maxPoints: 50,
                 crossSection: {
                     description: 'Clinoform cross-section interpretation',
+                    coordinates: examData.coordinateSystem?.crossSection || null,
                     elements: examData.crossSectionElements || [],
                     elementCount: (examData.crossSectionElements || []).length,
-                    elementSummary: this.summarizeElements(examData.crossSectionElements || [])
+                    elementSummary: this.summarizeElements(examData.crossSectionElements || []),
+                    terminationSummary: this.summarizeTerminations(examData.crossSectionElements || []),
+                    shorelineTrajectories: this.summarizeTrajectories(examData.crossSectionElements || [])
                 },
                 wheeler: {
                     description: 'Wheeler (chronostratigraphic) diagram',
+                    coordinates: examData.coordinateSystem?.wheeler || null,
                     elements: examData.wheelerElements || [],
                     elementCount: (examData.wheelerElements || []).length,
                     elementSummary: this.summarizeElements(examData.wheelerElements || [])
-                }
+                },
+                seaLevel: {
+                    description: 'Relative sea-level and sediment-supply curves (Wheeler time axis)',
+                    coordinates: examData.coordinateSystem?.curves || null,
+                    elements: examData.curveElements || [],
+                    elementCount: (examData.curveElements || []).length,
+                    curveSummary: SeaLevelCurves.summarize(examData.curveElements || [])
+                },
+                // Cross-section <-> Wheeler element groups, by element ID
+                links: examData.links || [],
+                // Termination and strata numbering, to continue after re-import
+                counters: examData.counters || null
             },
 
             section2: {
@@ -80,7 +125,8 @@ const ExamExport = {
 
             statistics: {
                 totalElements: (examData.crossSectionElements || []).length +
-                              (examData.wheelerElements || []).length,
+                              (examData.wheelerElements || []).length +
+                              (examData.curveElements || []).length,
                 totalWords: this.countWords(examData.answers?.question1 || '') +
                            this.countWords(examData.answers?.question2 || '') +
                            this.countWords(examData.answers?.question3 || '') +
@@ -101,6 +147,8 @@ const ExamExport = {
             polygons: 0,
             markers: 0,
             texts: 0,
+            hiatuses: 0,
+            erosionalVacuities: 0,
             byColor: {}
         };
 
@@ -110,6 +158,10 @@ const ExamExport = {
                 case 'polygon': summary.polygons++; break;
                 case 'marker': summary.markers++; break;
                 case 'text': summary.texts++; break;
+                case 'region':
+                    if (el.regionType === 'erosion') summary.erosionalVacuities++;
+                    else summary.hiatuses++;
+                    break;
             }
 
             // Count by color
@@ -121,6 +173,156 @@ const ExamExport = {
         return summary;
     },
 
+    /**
+     * Count termination pairs by lapout type, per sequence.
+     * Sequences are numbered from the base: a termination lies in sequence
+     * 1 + (number of SB surfaces passing below it at its distance).
+     * @param {Array} elements - Cross-section elements
+     * @returns {Object}
+     */
+    summarizeTerminations(elements) {
+        const sequenceBoundaries = elements.filter(el =>
+            el.type === 'surface' && el.surfaceType === 'SB' && el.points && el.points.length > 1
+        );
+
+        // One entry per termination pair, located by its landward point
+        const pairs = {};
+        elements.forEach(el => {
+            if (el.type !== 'termination') return;
+            const current = pairs[el.number];
+            if (!current || el.x < current.x) pairs[el.number] = el;
+        });
+
+        const summary = {
+            total: 0,
+            byType: {},
+            bySequence: {},
+            sequenceCount: sequenceBoundaries.length + 1
+        };
+
+        Object.values(pairs).forEach(el => {
+            const type = el.terminationType || 'unspecified';
+            const sequence = this.sequenceAt(sequenceBoundaries, el);
+
+            if (!summary.bySequence[sequence]) summary.bySequence[sequence] = {};
+            summary.bySequence[sequence][type] = (summary.bySequence[sequence][type] || 0) + 1;
+            summary.byType[type] = (summary.byType[type] || 0) + 1;
+            summary.total++;
+        });
+
+        return summary;
+    },
+
+    /**
+     * Every termination pair with its position, for the PDF appendix.
+     * Distances in km and depths in m (exported world elements).
+     * @param {Array} elements - Cross-section elements
+     * @returns {Array} Rows sorted by termination number
+     */
+    listTerminations(elements) {
+        const sequenceBoundaries = elements.filter(el =>
+            el.type === 'surface' && el.surfaceType === 'SB' && el.points && el.points.length > 1
+        );
+
+        const pairs = {};
+        elements.forEach(el => {
+            if (el.type !== 'termination') return;
+            (pairs[el.number] = pairs[el.number] || []).push(el);
+        });
+
+        return Object.keys(pairs).sort((a, b) => a - b).map(number => {
+            const points = pairs[number].sort((a, b) => a.x - b.x);
+            const landward = points[0];
+            const basinward = points.length > 1 ? points[points.length - 1] : null;
+            return {
+                number: Number(number),
+                label: landward.label || '',
+                type: landward.terminationType || 'unspecified',
+                sequence: this.sequenceAt(sequenceBoundaries, landward),
+                landwardKm: landward.x,
+                basinwardKm: basinward ? basinward.x : null,
+                extentKm: basinward ? basinward.x - landward.x : null,
+                landwardDepth: landward.y,
+                basinwardDepth: basinward ? basinward.y : null,
+                time: landward.time ?? null
+            };
+        });
+    },
+
+    /**
+     * Sequence of a point: 1 + (number of SB surfaces passing below it at its distance)
+     */
+    sequenceAt(sequenceBoundaries, point) {
+        return 1 + sequenceBoundaries.filter(sb => {
+            const depth = this.surfaceDepthAt(sb.points, point.x);
+            return depth !== null && depth > point.y;
+        }).length;
+    },
+
+    /**
+     * Classify every shoreline trajectory segment (elements in km / m)
+     * @param {Array} elements - Cross-section elements
+     * @returns {Array} One entry per trajectory, segments in stratigraphic order
+     */
+    summarizeTrajectories(elements) {
+        return elements
+            .filter(el => el.type === 'trajectory' && el.points && el.points.length > 1)
+            .map((el, i) => {
+                const segments = ShorelineTrajectory.classify(el.points);
+                return {
+                    trajectory: i + 1,
+                    sequence: segments.map(s => s.classification),
+                    code: segments.map(s => s.abbreviation).join('-'),
+                    segments: segments
+                };
+            });
+    },
+
+    /**
+     * Interpolate a traced surface's Y at a given X
+     * @param {Array} points - Surface points
+     * @param {number} x
+     * @returns {number|null} null if the surface does not reach x
+     */
+    surfaceDepthAt(points, x) {
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const minX = Math.min(a.x, b.x);
+            const maxX = Math.max(a.x, b.x);
+            if (x < minX || x > maxX) continue;
+            if (a.x === b.x) return Math.max(a.y, b.y);
+            return a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x);
+        }
+        return null;
+    },
+
+    /**
+     * Small hatched box for the PDF legend
+     */
+    drawPDFHatchSwatch(pdf, x, y, width, height, color, hatch) {
+        const hex = (color || '#808080').replace('#', '');
+        const r = parseInt(hex.substring(0, 2), 16);
+        const g = parseInt(hex.substring(2, 4), 16);
+        const b = parseInt(hex.substring(4, 6), 16);
+
+        pdf.setDrawColor(r, g, b);
+        pdf.setLineWidth(0.2);
+        for (let i = 1; i < width; i += 1.5) {
+            if (hatch === 'diagonal') {
+                // Lines from the bottom edge up and to the right, cut at the box
+                const run = Math.min(height, width - i);
+                pdf.line(x + i, y + height, x + i + run, y + height - run);
+            } else {
+                pdf.line(x + i, y, x + i, y + height);
+            }
+        }
+        pdf.setLineWidth(0.4);
+        pdf.rect(x, y, width, height);
+        pdf.setDrawColor(0, 0, 0);
+        pdf.setLineWidth(0.2);
+    },
+
     /**
      * Count words in text
      * @param {string} text
@@ -149,6 +351,15 @@ const ExamExport = {
         return parts.join(' ');
     },
 
+    /**
+     * Join names as "a, b and c"
+     * @param {Array} items
+     * @returns {string}
+     */
+    formatList(items) {
+        return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items.join('');
+    },
+
     /**
      * Calculate exam completion percentage
      * @param {Object} examData
@@ -172,6 +383,121 @@ const ExamExport = {
         return Math.round((completed / total) * 100);
     },
 
+    /**
+     * Interpreted geometry (surfaces, terminations, rollovers and system
+     * tract polygons) as GeoJSON, one FeatureCollection per panel.
+     * Coordinates are the world units of the export: km / m on the
+     * cross-section, km / time on the Wheeler diagram; the collection's
+     * "axes" member repeats the axis ranges. They are not geographic, so
+     * GIS tools should treat them as a local (engineering) system.
+     * @param {Object} exportData
+     * @returns {Object} - { crossSection, wheeler } FeatureCollections
+     */
+    toGeoJSON(exportData) {
+        const collection = (panel) => {
+            const section = exportData.section1[panel] || {};
+            return {
+                type: 'FeatureCollection',
+                name: `${exportData.metadata.studentId} ${panel}`,
+                axes: section.coordinates || null,
+                features: this.geometryFeatures(section.elements || []).map(item => ({
+                    type: 'Feature',
+                    id: item.id,
+                    geometry: {
+                        type: item.geometry,
+                        coordinates: item.geometry === 'Point' ? item.points[0]
+                            : item.geometry === 'Polygon' ? [[...item.points, item.points[0]]]
+                            : item.points
+                    },
+                    properties: { panel: panel, studentId: exportData.metadata.studentId, ...item.properties }
+                }))
+            };
+        };
+
+        return { crossSection: collection('crossSection'), wheeler: collection('wheeler') };
+    },
+
+    /**
+     * The same geometry as long-format CSV: one row per vertex, both panels
+     * @param {Object} exportData
+     * @returns {string}
+     */
+    toGeometryCSV(exportData) {
+        const header = ['student_id', 'panel', 'feature_id', 'feature', 'type', 'vertex', 'x', 'y', 'x_unit', 'y_unit', 'number', 'time', 'proposed'];
+        const rows = [];
+
+        ['crossSection', 'wheeler'].forEach(panel => {
+            const section = exportData.section1[panel] || {};
+            const axes = section.coordinates;
+            const unit = (axis) => axis ? axis.unit || axis.label.toLowerCase() : '';
+            const xUnit = unit(axes?.x);
+            const yUnit = unit(axes?.y);
+
+            this.geometryFeatures(section.elements || []).forEach(item => {
+                const p = item.properties;
+                item.points.forEach(([x, y], vertex) => {
+                    rows.push([
+                        exportData.metadata.studentId, panel, item.id, p.feature, p.type ?? '', vertex,
+                        x, y, xUnit, yUnit, p.number ?? '', p.time ?? '', p.proposed ? 'true' : ''
+                    ]);
+                });
+            });
+        });
+
+        // Text starting like a formula gets a leading ' (the student ID is typed by the student)
+        const field = (value) => {
+            let text = String(value);
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [header, ...rows].map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Exported elements as { id, geometry, points: [[x, y]], properties }.
+     * Cross-section rollovers are the markers (as in AutoGrader), Wheeler
+     * rollovers the rollover squares.
+     * @param {Array} elements - World-unit elements of one panel
+     * @returns {Array}
+     */
+    geometryFeatures(elements) {
+        const round = (value) => Math.round(value * 10000) / 10000;
+        const point = (x, y) => [round(x), round(y)];
+        const features = [];
+
+        elements.forEach(el => {
+            let item = null;
+            switch (el.type) {
+                case 'surface':
+                    if (!el.points || el.points.length < 2) break;
+                    item = { geometry: 'LineString', points: el.points.map(p => point(p.x, p.y)),
+                        properties: { feature: 'surface', type: el.surfaceType || null } };
+                    break;
+                case 'termination':
+                    item = { geometry: 'Point', points: [point(el.x, el.y)],
+                        properties: { feature: 'termination', type: el.terminationType || null, number: el.number, time: el.time ?? null } };
+                    break;
+                case 'terminationLine':
+                    item = { geometry: 'LineString', points: [point(el.x1, el.y), point(el.x2, el.y)],
+                        properties: { feature: 'termination', type: el.terminationType || null, number: el.number ?? null, time: round(el.y) } };
+                    break;
+                case 'marker':
+                case 'rolloverSquare':
+                    item = { geometry: 'Point', points: [point(el.x, el.y)],
+                        properties: { feature: 'rollover', type: null } };
+                    break;
+                case 'systemTract':
+                    if (!el.points || el.points.length < 3) break;
+                    item = { geometry: 'Polygon', points: el.points.map(p => point(p.x, p.y)),
+                        properties: { feature: 'systemTract', type: el.tractType || null, proposed: !!el.proposed } };
+                    break;
+            }
+            if (item) features.push({ id: el.id || `${el.type}-${features.length + 1}`, ...item });
+        });
+
+        return features;
+    },
+
     /**
      * Download JSON file
      * @param {Object} data
@@ -229,6 +555,28 @@ const ExamExport = {
         return combined;
     },
 
+    /**
+     * Place two images next to each other, top-aligned (Wheeler diagram and
+     * the sea-level panel, which share the time axis)
+     * @param {HTMLCanvasElement} leftCanvas
+     * @param {HTMLCanvasElement} rightCanvas
+     * @param {number} gap - Space between the images in pixels
+     * @returns {HTMLCanvasElement}
+     */
+    combineSideBySide(leftCanvas, rightCanvas, gap = 10) {
+        const combined = document.createElement('canvas');
+        combined.width = leftCanvas.width + gap + rightCanvas.width;
+        combined.height = Math.max(leftCanvas.height, rightCanvas.height);
+
+        const ctx = combined.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, combined.width, combined.height);
+        ctx.drawImage(leftCanvas, 0, 0);
+        ctx.drawImage(rightCanvas, leftCanvas.width + gap, 0);
+
+        return combined;
+    },
+
     /**
      * Convert data URL to Blob
      * @param {string} dataURL
@@ -267,16 +615,20 @@ const ExamExport = {
     /**
      * Export complete exam (all files)
      * @param {Object} examData
-     * @param {Object} canvases - { crossSectionBg, crossSectionDraw, wheelerBg, wheelerDraw }
+     * @param {Object} canvases - { crossSectionBg, crossSectionDraw, wheelerBg, wheelerDraw, curveBg, curveDraw }
+     * @param {Object} svgPanels - SVG documents by panel name, e.g. { CrossSection: '<svg ...' }
+     * @param {Object} vectorPanels - Live panels for vector drawings in the PDF (see generatePDFReport)
+     * @returns {Promise<Object|null>} - { exportData, saved: [descriptions of the saved files], problems: [messages] }
      */
-    async exportAll(examData, canvases) {
-        try {
-            const studentId = examData.studentId || 'unknown';
-            const studentName = (examData.studentName || 'unknown').replace(/\s+/g, '_');
-            const prefix = `SeqStrat_Exam_${studentId}_${studentName}`;
+    async exportAll(examData, canvases, svgPanels = {}, vectorPanels = null) {
+        const studentId = examData.studentId || 'unknown';
+        const studentName = (examData.studentName || 'unknown').replace(/\s+/g, '_');
+        const prefix = `SeqStrat_Exam_${studentId}_${studentName}`;
+        let exportData = null;
 
+        try {
             // Generate export data
-            const exportData = this.generateExportData(examData);
+            exportData = this.generateExportData(examData);
 
             // Generate image data URLs
             let crossSectionDataURL = null;
@@ -338,10 +690,18 @@ const ExamExport = {
                     console.log('Creating Wheeler combined canvas...');
                     console.log('Wheeler BG dimensions:', canvases.wheelerBg.width, 'x', canvases.wheelerBg.height);
                     console.log('Wheeler Draw dimensions:', canvases.wheelerDraw.width, 'x', canvases.wheelerDraw.height);
-                    const wheelerCombined = this.combineCanvases(
+                    let wheelerCombined = this.combineCanvases(
                         canvases.wheelerBg,
                         canvases.wheelerDraw
                     );
+
+                    // Sea-level panel to the right, on the same time axis
+                    if (canvases.curveBg && canvases.curveDraw) {
+                        wheelerCombined = this.combineSideBySide(
+                            wheelerCombined,
+                            this.combineCanvases(canvases.curveBg, canvases.curveDraw)
+                        );
+                    }
                     console.log('Wheeler combined canvas created:', wheelerCombined.width, 'x', wheelerCombined.height);
                     wheelerDataURL = wheelerCombined.toDataURL('image/png');
                     console.log('Wheeler dataURL created, length:', wheelerDataURL?.length);
@@ -352,17 +712,83 @@ const ExamExport = {
                 console.warn('Wheeler canvases missing - BG exists:', !!canvases.wheelerBg, 'Draw exists:', !!canvases.wheelerDraw);
             }
 
-            // Download as PDF (non-editable format)
-            await this.downloadPDFReport(exportData, crossSectionDataURL, wheelerDataURL, `${prefix}_Submission.pdf`);
+            // One ZIP: PDF report (non-editable, HTML if the PDF fails), full
+            // JSON data for machine grading and re-import, vector SVG panels
+            // and a checksum manifest
+            const report = await this.createReport(exportData, crossSectionDataURL, wheelerDataURL, vectorPanels);
+            await this.seal(exportData);
+            const json = JSON.stringify(exportData, null, 2);
+            const files = [
+                { name: `${prefix}_Submission.${report.extension}`, data: report.data },
+                { name: `${prefix}_Submission.json`, data: json }
+            ];
+            const contents = [report.label, 'JSON data'];
+            Object.entries(svgPanels).forEach(([panel, svg]) => {
+                if (svg) files.push({ name: `${prefix}_${panel}.svg`, data: svg });
+            });
+            if (files.length > 2) contents.push('SVG drawings');
+            try {
+                const geojson = this.toGeoJSON(exportData);
+                files.push(
+                    { name: `${prefix}_CrossSection.geojson`, data: JSON.stringify(geojson.crossSection, null, 2) },
+                    { name: `${prefix}_Wheeler.geojson`, data: JSON.stringify(geojson.wheeler, null, 2) },
+                    { name: `${prefix}_Geometry.csv`, data: this.toGeometryCSV(exportData) }
+                );
+                contents.push('GeoJSON/CSV geometry');
+            } catch (e) {
+                console.error('Geometry export error:', e);
+            }
 
-            return exportData;
+            const problems = report.error ? [`The PDF report could not be created (${report.error}).`] : [];
+            try {
+                const bundle = await SubmissionBundle.create(files, {
+                    studentId: exportData.metadata.studentId,
+                    submissionTime: exportData.metadata.submissionTime
+                });
+                this.downloadBlob(bundle, `${prefix}_Submission.zip`);
+                contents.push('checksum manifest');
+                return { exportData: exportData, saved: [`${prefix}_Submission.zip (${this.formatList(contents)})`], problems: problems };
+            } catch (e) {
+                // Still hand out the report and the data, as separate files
+                console.error('ZIP bundle could not be created, downloading the files separately:', e);
+                problems.push(`The ZIP could not be created (${e.message}).`);
+                this.downloadBlob(new Blob([report.data], { type: report.type }), files[0].name);
+                this.downloadBlob(new Blob([json], { type: 'application/json' }), files[1].name);
+                return { exportData: exportData, saved: [`${files[0].name} (${report.label})`, `${files[1].name} (JSON data)`], problems: problems };
+            }
         } catch (e) {
             console.error('Export error:', e);
-            alert('Error exporting exam: ' + e.message);
-            return null;
+            if (!exportData) {
+                alert('Error exporting exam: ' + e.message);
+                return null;
+            }
+
+            // At least the data goes out
+            this.downloadJSON(exportData, `${prefix}_Submission.json`);
+            return {
+                exportData: exportData,
+                saved: [`${prefix}_Submission.json (JSON data)`],
+                problems: [`The export failed (${e.message}).`]
+            };
         }
     },
 
+    /**
+     * Add a checksum of the export data, so a re-import can tell whether the
+     * JSON file was damaged or edited on its own (the ZIP manifest covers the
+     * bundle). An integrity check only: it is not signed, so whoever edits
+     * the file can recompute it
+     * @param {Object} exportData - Modified in place
+     */
+    async seal(exportData) {
+        delete exportData.integrity;
+        const algorithm = SubmissionBundle.preferredAlgorithm();
+        exportData.integrity = {
+            algorithm: algorithm,
+            checksum: await SubmissionBundle.checksum(SubmissionBundle.toBytes(JSON.stringify(exportData)), algorithm)
+        };
+    },
+
     /**
      * Export for review (preview before submission)
      * @param {Object} examData
@@ -688,18 +1114,62 @@ const ExamExport = {
     },
 
     /**
-     * Generate and download PDF report (non-editable format)
+     * Generate and download PDF report (non-editable format), or the HTML
+     * report (same name, .html) if the PDF cannot be created
      * @param {Object} exportData
      * @param {string} crossSectionDataURL
      * @param {string} wheelerDataURL
      * @param {string} filename
+     * @param {Object} vectorPanels - See generatePDFReport
+     * @returns {Promise<Object>} - The report, see createReport
+     */
+    async downloadPDFReport(exportData, crossSectionDataURL, wheelerDataURL, filename, vectorPanels = null) {
+        const report = await this.createReport(exportData, crossSectionDataURL, wheelerDataURL, vectorPanels);
+        this.downloadBlob(new Blob([report.data], { type: report.type }), filename.replace(/\.pdf$/i, '') + '.' + report.extension);
+        return report;
+    },
+
+    /**
+     * The PDF report, or the HTML report with images if the PDF cannot be
+     * created (e.g. the PDF library did not load)
+     * @returns {Promise<Object>} - { data, extension, type, label, error }
      */
-    async downloadPDFReport(exportData, crossSectionDataURL, wheelerDataURL, filename) {
+    async createReport(exportData, crossSectionDataURL, wheelerDataURL, vectorPanels = null) {
+        try {
+            const pdf = await this.generatePDFReport(exportData, crossSectionDataURL, wheelerDataURL, vectorPanels);
+            return { data: pdf, extension: 'pdf', type: 'application/pdf', label: 'PDF report', error: null };
+        } catch (e) {
+            console.error('PDF report could not be created, using the HTML report instead:', e);
+            return {
+                data: this.generateHTMLReportWithImages(exportData, crossSectionDataURL, wheelerDataURL),
+                extension: 'html',
+                type: 'text/html',
+                label: 'HTML report',
+                error: e.message
+            };
+        }
+    },
+
+    /**
+     * Generate the PDF report. The drawings go in as vector paths over the
+     * background image when the live panels are given, as the raster
+     * images otherwise.
+     * @param {Object} exportData
+     * @param {string} crossSectionDataURL
+     * @param {string} wheelerDataURL
+     * @param {Object} vectorPanels - { crossSection: [{ drawing, background }], wheeler: [...] }
+     * @returns {Promise<Blob>}
+     */
+    async generatePDFReport(exportData, crossSectionDataURL, wheelerDataURL, vectorPanels = null) {
+        if (!window.jspdf || typeof window.jspdf.jsPDF !== 'function') {
+            throw new Error('the PDF library js/vendor/jspdf.umd.min.js is not loaded');
+        }
         const { jsPDF } = window.jspdf;
         const pdf = new jsPDF('p', 'mm', 'a4');
         const pageWidth = pdf.internal.pageSize.getWidth();
         const pageHeight = pdf.internal.pageSize.getHeight();
         const margin = 15;
+        const page = { width: pageWidth, height: pageHeight, margin: margin };
         let y = margin;
 
         // Helper to add text with word wrap
@@ -736,7 +1206,10 @@ const ExamExport = {
         pdf.text('a. Cross-Section Interpretation', margin, y);
         y += 5;
 
-        if (crossSectionDataURL) {
+        const crossSectionHeight = this.addPDFVectorPanels(pdf, vectorPanels?.crossSection, margin, y, page);
+        if (crossSectionHeight !== null) {
+            y = crossSectionHeight + 8;
+        } else if (crossSectionDataURL) {
             try {
                 const imgWidth = pageWidth - (2 * margin);
                 const imgHeight = imgWidth * 0.4; // Approximate aspect ratio
@@ -754,6 +1227,34 @@ const ExamExport = {
             }
         }
 
+        // Termination counts per sequence
+        const terminations = exportData.section1.crossSection.terminationSummary;
+        if (terminations && terminations.total > 0) {
+            pdf.setFontSize(10);
+            pdf.setFont('helvetica', 'normal');
+            Object.keys(terminations.bySequence).sort((a, b) => a - b).forEach(sequence => {
+                const counts = Object.entries(terminations.bySequence[sequence])
+                    .map(([type, count]) => `${type} ${count}`)
+                    .join(', ');
+                pdf.text(`Sequence ${sequence} terminations: ${counts}`, margin, y);
+                y += 5;
+            });
+            y += 3;
+        }
+
+        // Shoreline trajectory classification (oldest segment first)
+        const trajectories = exportData.section1.crossSection.shorelineTrajectories || [];
+        if (trajectories.length > 0) {
+            pdf.setFontSize(10);
+            pdf.setFont('helvetica', 'normal');
+            trajectories.forEach(t => {
+                pdf.text(`Shoreline trajectory ${t.trajectory}: ${t.code}`, margin, y);
+                y += 5;
+            });
+            pdf.text('AR = ascending regressive, DR = descending regressive, T = transgressive, A = aggradational', margin, y);
+            y += 8;
+        }
+
         // Wheeler diagram
         pdf.setFontSize(14);
         pdf.setFont('helvetica', 'bold');
@@ -761,10 +1262,15 @@ const ExamExport = {
             pdf.addPage();
             y = margin;
         }
-        pdf.text('b. Wheeler Diagram', margin, y);
+        const curves = exportData.section1.seaLevel?.curveSummary;
+        const hasCurves = !!curves && Object.values(curves).some(c => c.curves > 0);
+        pdf.text(hasCurves ? 'b. Wheeler Diagram and Sea-Level Curves' : 'b. Wheeler Diagram', margin, y);
         y += 5;
 
-        if (wheelerDataURL) {
+        const wheelerHeight = this.addPDFVectorPanels(pdf, vectorPanels?.wheeler, margin, y, page);
+        if (wheelerHeight !== null) {
+            y = wheelerHeight + 10;
+        } else if (wheelerDataURL) {
             try {
                 const imgWidth = pageWidth - (2 * margin);
                 const imgHeight = imgWidth * 0.4;
@@ -782,6 +1288,38 @@ const ExamExport = {
             }
         }
 
+        // Legend of the hatched gap regions used on the Wheeler diagram
+        const regions = exportData.section1.wheeler.elements.filter(el => el.type === 'region');
+        const summary = exportData.section1.wheeler.elementSummary;
+        const counts = { hiatus: summary.hiatuses, erosion: summary.erosionalVacuities };
+        if (regions.length > 0) {
+            pdf.setFontSize(10);
+            pdf.setFont('helvetica', 'normal');
+            Object.keys(this.REGION_LEGEND).forEach(type => {
+                const sample = regions.find(el => (el.regionType === 'erosion' ? 'erosion' : 'hiatus') === type);
+                if (!sample) return;
+                this.drawPDFHatchSwatch(pdf, margin, y - 3.5, 10, 4.5, sample.color, this.REGION_LEGEND[type].hatch);
+                pdf.text(`${this.REGION_LEGEND[type].label}: ${counts[type]} area${counts[type] === 1 ? '' : 's'}`, margin + 13, y);
+                y += 6;
+            });
+            y += 3;
+        }
+
+        // Highs and lows of the sketched curves (time steps)
+        if (hasCurves) {
+            pdf.setFontSize(10);
+            pdf.setFont('helvetica', 'normal');
+            Object.values(curves).filter(c => c.curves > 0).forEach(c => {
+                const turns = c.turningPoints.map(t => `${t.kind} at ${t.time}`).join(', ');
+                pdf.text(`${c.label}: ${turns || 'no highs or lows'}`, margin, y);
+                y += 5;
+            });
+            y += 3;
+        }
+
+        // Colours of the surfaces and system tracts used in both panels
+        y = this.addPDFColorLegend(pdf, exportData, vectorPanels, y, page);
+
         // Questions section
         pdf.addPage();
         y = margin;
@@ -836,14 +1374,181 @@ const ExamExport = {
         const q4Text = exportData.section2.question4?.text || 'No answer provided';
         y = addWrappedText(q4Text, margin, y, pageWidth - (2 * margin));
 
+        // Appendix: every termination with its position
+        const terminationRows = this.listTerminations(exportData.section1.crossSection.elements);
+        if (terminationRows.length > 0) {
+            this.addPDFTerminationTable(pdf, terminationRows, page);
+        }
+
         // Footer on last page
         pdf.setFontSize(8);
         pdf.setTextColor(128);
         pdf.text('This document was generated automatically and is non-editable.', margin, pageHeight - 10);
         pdf.text(`Course: AS-F1 / GT-F1 - Seismo- und Sequenzstratigraphie | FAU Erlangen-Nürnberg`, margin, pageHeight - 6);
 
-        // Save PDF
-        pdf.save(filename);
+        return pdf.output('blob');
+    },
+
+    /**
+     * Draw panels side by side across the page width as vector paths
+     * (10 px apart, as in combineSideBySide)
+     * @param {jsPDF} pdf
+     * @param {Array} panels - [{ drawing: DrawingCanvas, background }]
+     * @param {number} x
+     * @param {number} y
+     * @param {Object} page - { width, height, margin }
+     * @returns {number|null} Bottom of the drawing, or null if it could not be drawn
+     */
+    addPDFVectorPanels(pdf, panels, x, y, page) {
+        panels = (panels || []).filter(p => p && p.drawing);
+        if (panels.length === 0 || typeof PDFContext === 'undefined') return null;
+
+        const gap = 10;
+        const totalWidth = panels.reduce((sum, p) => sum + p.drawing.canvas.width, 0) + gap * (panels.length - 1);
+        const scale = (page.width - 2 * page.margin) / totalWidth;
+        const height = Math.max(...panels.map(p => p.drawing.canvas.height)) * scale;
+        if (y + height > page.height - page.margin) {
+            pdf.addPage();
+            y = page.margin;
+        }
+
+        try {
+            panels.forEach(p => {
+                VectorPanel.draw(new PDFContext(pdf, x, y, scale), p.drawing, p.background);
+                x += (p.drawing.canvas.width + gap) * scale;
+            });
+        } catch (e) {
+            // The raster image goes on top of whatever was drawn
+            console.error('Error drawing vector panel in PDF, using the image instead:', e);
+            return null;
+        }
+        return y + height;
+    },
+
+    /**
+     * Legend of the surface and system tract colours actually used
+     * @returns {number} y below the legend
+     */
+    addPDFColorLegend(pdf, exportData, vectorPanels, y, page) {
+        const elements = [
+            ...exportData.section1.crossSection.elements,
+            ...exportData.section1.wheeler.elements
+        ];
+        const drawing = vectorPanels?.crossSection?.[0]?.drawing;
+        const entries = [];
+        const addEntries = (type, key, names, colors, kind) => {
+            Object.keys(names).forEach(name => {
+                const sample = elements.find(el => el.type === type && el[key] === name);
+                if (!sample) return;
+                entries.push({ kind: kind, label: `${name} - ${names[name]}`, color: (colors && colors[name]) || sample.color });
+            });
+        };
+        addEntries('surface', 'surfaceType', this.SURFACE_NAMES, drawing?.surfaceColors, 'line');
+        addEntries('systemTract', 'tractType', this.TRACT_NAMES, drawing?.systemTractColors, 'box');
+        if (entries.length === 0) return y;
+
+        const rows = Math.ceil(entries.length / 2);
+        if (y + 8 + rows * 6 > page.height - page.margin) {
+            pdf.addPage();
+            y = page.margin;
+        }
+
+        pdf.setFontSize(11);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text('Colour legend', page.margin, y);
+        y += 6;
+
+        // Two columns, surfaces first
+        pdf.setFontSize(9);
+        pdf.setFont('helvetica', 'normal');
+        const columnWidth = (page.width - 2 * page.margin) / 2;
+        entries.forEach((entry, i) => {
+            const x = page.margin + Math.floor(i / rows) * columnWidth;
+            const rowY = y + (i % rows) * 6;
+            const hex = (entry.color || '#808080').replace('#', '');
+            const r = parseInt(hex.substring(0, 2), 16);
+            const g = parseInt(hex.substring(2, 4), 16);
+            const b = parseInt(hex.substring(4, 6), 16);
+
+            if (entry.kind === 'line') {
+                pdf.setDrawColor(r, g, b);
+                pdf.setLineWidth(0.8);
+                pdf.line(x, rowY - 1.2, x + 10, rowY - 1.2);
+            } else {
+                pdf.setFillColor(r, g, b);
+                pdf.setDrawColor(0, 0, 0);
+                pdf.setLineWidth(0.2);
+                pdf.rect(x, rowY - 3.5, 10, 4.5, 'FD');
+            }
+            pdf.text(entry.label, x + 13, rowY);
+        });
+        pdf.setDrawColor(0, 0, 0);
+        pdf.setLineWidth(0.2);
+
+        return y + rows * 6 + 3;
+    },
+
+    /**
+     * Appendix page: one table row per termination pair
+     * @param {Array} rows - From listTerminations
+     */
+    addPDFTerminationTable(pdf, rows, page) {
+        const columns = [
+            { title: 'No.', width: 12, value: r => r.label || String(r.number) },
+            { title: 'Type', width: 22, value: r => r.type },
+            { title: 'Seq.', width: 11, value: r => String(r.sequence) },
+            { title: 'Landward (km)', width: 25, value: r => r.landwardKm.toFixed(2) },
+            { title: 'Basinward (km)', width: 26, value: r => r.basinwardKm === null ? '-' : r.basinwardKm.toFixed(2) },
+            { title: 'Extent (km)', width: 22, value: r => r.extentKm === null ? '-' : r.extentKm.toFixed(2) },
+            { title: 'Depth (m)', width: 36, value: r => r.basinwardDepth === null
+                ? r.landwardDepth.toFixed(0)
+                : `${r.landwardDepth.toFixed(0)} / ${r.basinwardDepth.toFixed(0)}` },
+            { title: 'Time', width: 16, value: r => r.time === null ? '-' : String(r.time) }
+        ];
+        const rowHeight = 6;
+
+        const header = (y) => {
+            pdf.setFontSize(9);
+            pdf.setFont('helvetica', 'bold');
+            let x = page.margin;
+            columns.forEach(c => {
+                pdf.text(c.title, x + 1, y);
+                x += c.width;
+            });
+            pdf.setLineWidth(0.3);
+            pdf.line(page.margin, y + 2, page.width - page.margin, y + 2);
+            pdf.setFont('helvetica', 'normal');
+            return y + rowHeight + 1;
+        };
+
+        pdf.addPage();
+        let y = page.margin;
+        pdf.setFontSize(16);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text('Appendix: Stratal Terminations', page.margin, y);
+        y += 7;
+        pdf.setFontSize(9);
+        pdf.setFont('helvetica', 'normal');
+        pdf.text('Distances from the landward end of the section; depth of the landward / basinward point.', page.margin, y);
+        y = header(y + 8);
+
+        rows.forEach((row, i) => {
+            if (y > page.height - page.margin - 10) {
+                pdf.addPage();
+                y = header(page.margin);
+            }
+            if (i % 2 === 1) {
+                pdf.setFillColor(242, 242, 242);
+                pdf.rect(page.margin, y - 4.2, page.width - 2 * page.margin, rowHeight, 'F');
+            }
+            let x = page.margin;
+            columns.forEach(c => {
+                pdf.text(c.value(row), x + 1, y);
+                x += c.width;
+            });
+            y += rowHeight;
+        });
+        pdf.setLineWidth(0.2);
     },
 
     /**
@@ -0,0 +1,348 @@
+/**
+ * Sequence Stratigraphy Exam - Auto-Grading Module
+ * Compares a student's drawings with an answer key and awards the
+ * section 1 points (see ExamExport.generateExportData).
+ *
+ * Answer key (JSON, world units as in the export):
+ * {
+ *   "format": "seqstrat-answer-key",
+ *   "version": 1,
+ *   "title": "Clinoform exercise - reference interpretation",
+ *   "tolerance": {
+ *     "crossSection": { "x": 2, "y": 20 },   // km, m
+ *     "wheeler": { "x": 2, "y": 1 },         // km, time
+ *     "falloff": 3                           // no credit beyond 3 tolerances
+ *   },
+ *   "surfaces": [{ "surfaceType": "SB", "points": [{ "x": 0, "y": 120 }, ...], "weight": 2 }],
+ *   "rollovers": [{ "x": 42.5, "y": 310 }],
+ *   "wheelerTracts": [{ "tractType": "LST", "points": [{ "x": 60, "y": 12 }, ...] }]
+ * }
+ *
+ * Distances are measured in tolerance units (dx / tolerance.x, dy / tolerance.y),
+ * so km and m (or time) can be mixed. An item gets full credit within one
+ * tolerance and loses it linearly up to the falloff. Item weights (default 1,
+ * 0 or more, at least one positive) share out the section's maxPoints.
+ */
+
+const AutoGrader = {
+    FORMAT: 'seqstrat-answer-key',
+    VERSION: 1,
+
+    DEFAULT_TOLERANCE: {
+        crossSection: { x: 2, y: 20 },
+        wheeler: { x: 2, y: 1 },
+        falloff: 3
+    },
+
+    // Points each line / outline is resampled to before measuring
+    SAMPLES: 60,
+
+    /**
+     * Check an answer key before grading
+     * @param {Object} key
+     * @returns {Array} Error messages (empty if the key is usable)
+     */
+    validateKey(key) {
+        const errors = [];
+        if (!key || typeof key !== 'object') return ['Answer key is not a JSON object'];
+        if (key.format !== this.FORMAT) errors.push(`Not an answer key (format should be "${this.FORMAT}")`);
+        if (key.version > this.VERSION) errors.push(`Answer key version ${key.version} is newer than this grader (${this.VERSION})`);
+
+        const checkList = (name, minPoints, typeKey) => {
+            const items = key[name];
+            if (items === undefined) return;
+            if (!Array.isArray(items)) {
+                errors.push(`"${name}" must be a list`);
+                return;
+            }
+            items.forEach((item, i) => {
+                if (typeKey && !item[typeKey]) errors.push(`${name}[${i}] has no ${typeKey}`);
+                if (minPoints === 0) {
+                    if (!this.isPoint(item)) errors.push(`${name}[${i}] needs numeric x and y`);
+                } else if (!Array.isArray(item.points) || item.points.length < minPoints || !item.points.every(p => this.isPoint(p))) {
+                    errors.push(`${name}[${i}] needs at least ${minPoints} points with numeric x and y`);
+                }
+                if (item.weight !== undefined && item.weight !== null &&
+                    !(typeof item.weight === 'number' && Number.isFinite(item.weight) && item.weight >= 0)) {
+                    errors.push(`${name}[${i}] weight must be a number of 0 or more`);
+                }
+            });
+        };
+        checkList('surfaces', 2, 'surfaceType');
+        checkList('rollovers', 0, null);
+        checkList('wheelerTracts', 3, 'tractType');
+
+        if (errors.length === 0) {
+            const items = this.keyItems(key);
+            if (items.length === 0) {
+                errors.push('Answer key has no surfaces, rollovers or Wheeler tracts');
+            } else if (items.reduce((sum, item) => sum + item.weight, 0) <= 0) {
+                // The points are shared out by weight
+                errors.push('Answer key weights add up to 0; give at least one item a positive weight');
+            }
+        }
+        return errors;
+    },
+
+    /**
+     * Grade a submission against an answer key
+     * @param {Object} key - Answer key (see above)
+     * @param {Object} submission - Export data (section1.*.elements) or exam data (crossSectionElements / wheelerElements)
+     * @returns {Object} { maxPoints, score, items: [...], extra: [...] }; items follow keyItems(key) order
+     */
+    grade(key, submission) {
+        const errors = this.validateKey(key);
+        if (errors.length > 0) throw new Error(errors[0]);
+
+        const section1 = submission.section1;
+        const crossSection = section1 ? section1.crossSection?.elements || [] : submission.crossSectionElements || [];
+        const wheeler = section1 ? section1.wheeler?.elements || [] : submission.wheelerElements || [];
+        const maxPoints = section1?.maxPoints || key.maxPoints || 50;
+
+        const tolerance = {
+            crossSection: { ...this.DEFAULT_TOLERANCE.crossSection, ...key.tolerance?.crossSection },
+            wheeler: { ...this.DEFAULT_TOLERANCE.wheeler, ...key.tolerance?.wheeler },
+            falloff: key.tolerance?.falloff || this.DEFAULT_TOLERANCE.falloff
+        };
+
+        const items = this.keyItems(key);
+        const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+        const extra = [];
+
+        // Match each category separately; candidates must be of the same type
+        const groups = [
+            {
+                category: 'surface',
+                keys: items.filter(item => item.category === 'surface'),
+                elements: crossSection.filter(el => el.type === 'surface' && el.points?.length >= 2),
+                typeKey: 'surfaceType',
+                scale: tolerance.crossSection,
+                distance: (a, b, scale) => this.frechetDistance(a.points, b.points, scale)
+            },
+            {
+                category: 'rollover',
+                keys: items.filter(item => item.category === 'rollover'),
+                elements: crossSection.filter(el => el.type === 'marker'),
+                typeKey: null,
+                scale: tolerance.crossSection,
+                distance: (a, b, scale) => this.pointDistance(a, b, scale)
+            },
+            {
+                category: 'wheelerTract',
+                keys: items.filter(item => item.category === 'wheelerTract'),
+                elements: wheeler.filter(el => el.type === 'systemTract' && el.points?.length >= 3 && !el.proposed),
+                typeKey: 'tractType',
+                scale: tolerance.wheeler,
+                distance: (a, b, scale) => this.hausdorffDistance(this.closeRing(a.points), this.closeRing(b.points), scale)
+            }
+        ];
+
+        groups.forEach(group => {
+            const matches = this.matchItems(group);
+            group.keys.forEach((item, i) => {
+                const match = matches.get(i);
+                const itemMax = maxPoints * item.weight / totalWeight;
+                const credit = match ? this.credit(match.distance, tolerance.falloff) : 0;
+                // Too far away to earn anything: the item is missed and the element an extra
+                if (match && credit === 0) matches.delete(i);
+                item.result = {
+                    category: group.category,
+                    label: item.label,
+                    status: credit > 0 ? 'matched' : 'missed',
+                    maxPoints: this.round(itemMax),
+                    points: this.round(itemMax * credit),
+                    distance: match ? this.round(match.distance) : null,
+                    matchedId: credit > 0 ? match.element.id || null : null
+                };
+            });
+            const matched = new Set([...matches.values()].map(m => m.element));
+            group.elements.forEach(el => {
+                if (!matched.has(el)) extra.push({ category: group.category, label: this.describe(el, group.typeKey), id: el.id || null });
+            });
+        });
+
+        const results = items.map(item => item.result);
+        return {
+            maxPoints: maxPoints,
+            score: this.round(results.reduce((sum, r) => sum + r.points, 0)),
+            tolerance: tolerance,
+            items: results,
+            extra: extra
+        };
+    },
+
+    /**
+     * Build an answer key from a reference interpretation (e.g. the
+     * instructor's own exported drawing)
+     * @param {Object} submission - Export data or exam data
+     * @param {string} title
+     * @returns {Object} Answer key
+     */
+    createKey(submission, title) {
+        const section1 = submission.section1;
+        const crossSection = section1 ? section1.crossSection?.elements || [] : submission.crossSectionElements || [];
+        const wheeler = section1 ? section1.wheeler?.elements || [] : submission.wheelerElements || [];
+        const points = (list) => list.map(p => ({ x: this.round(p.x), y: this.round(p.y) }));
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            title: title || 'Reference interpretation',
+            tolerance: JSON.parse(JSON.stringify(this.DEFAULT_TOLERANCE)),
+            surfaces: crossSection
+                .filter(el => el.type === 'surface' && el.points?.length >= 2)
+                .map(el => ({ surfaceType: el.surfaceType, points: points(el.points) })),
+            rollovers: crossSection
+                .filter(el => el.type === 'marker')
+                .map(el => ({ x: this.round(el.x), y: this.round(el.y) })),
+            wheelerTracts: wheeler
+                .filter(el => el.type === 'systemTract' && el.points?.length >= 3 && !el.proposed)
+                .map(el => ({ tractType: el.tractType, points: points(el.points) }))
+        };
+    },
+
+    /**
+     * Flatten the key into gradable items with labels and weights
+     */
+    keyItems(key) {
+        const items = [];
+        const counts = {};
+        const label = (name) => {
+            counts[name] = (counts[name] || 0) + 1;
+            return `${name} #${counts[name]}`;
+        };
+
+        (key.surfaces || []).forEach(s => items.push({
+            category: 'surface', type: s.surfaceType, points: s.points, weight: s.weight ?? 1, label: label(s.surfaceType)
+        }));
+        (key.rollovers || []).forEach(r => items.push({
+            category: 'rollover', type: null, x: r.x, y: r.y, weight: r.weight ?? 1, label: label('Rollover')
+        }));
+        (key.wheelerTracts || []).forEach(t => items.push({
+            category: 'wheelerTract', type: t.tractType, points: t.points, weight: t.weight ?? 1, label: label(`${t.tractType} (Wheeler)`)
+        }));
+        return items;
+    },
+
+    /**
+     * Pair key items with student elements of the same type, closest pairs first
+     * @returns {Map} key index -> { element, distance }
+     */
+    matchItems(group) {
+        const pairs = [];
+        group.keys.forEach((item, i) => {
+            group.elements.forEach(el => {
+                if (group.typeKey && el[group.typeKey] !== item.type) return;
+                pairs.push({ key: i, element: el, distance: group.distance(item, el, group.scale) });
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const matches = new Map();
+        const used = new Set();
+        pairs.forEach(pair => {
+            if (matches.has(pair.key) || used.has(pair.element)) return;
+            matches.set(pair.key, pair);
+            used.add(pair.element);
+        });
+        return matches;
+    },
+
+    /**
+     * Share of an item's points for a distance in tolerance units
+     */
+    credit(distance, falloff) {
+        if (distance <= 1) return 1;
+        if (distance >= falloff) return 0;
+        return (falloff - distance) / (falloff - 1);
+    },
+
+    pointDistance(a, b, scale) {
+        return Math.hypot((a.x - b.x) / scale.x, (a.y - b.y) / scale.y);
+    },
+
+    /**
+     * Discrete Fréchet distance between two polylines, in tolerance units.
+     * Surfaces may be traced in either direction, so the better of both is used.
+     */
+    frechetDistance(a, b, scale) {
+        const p = this.resample(a, scale);
+        const q = this.resample(b, scale);
+        return Math.min(this.discreteFrechet(p, q, scale), this.discreteFrechet(p, [...q].reverse(), scale));
+    },
+
+    discreteFrechet(p, q, scale) {
+        let previous = new Array(q.length);
+        for (let i = 0; i < p.length; i++) {
+            const current = new Array(q.length);
+            for (let j = 0; j < q.length; j++) {
+                const d = this.pointDistance(p[i], q[j], scale);
+                if (i === 0 && j === 0) current[j] = d;
+                else if (i === 0) current[j] = Math.max(current[j - 1], d);
+                else if (j === 0) current[j] = Math.max(previous[j], d);
+                else current[j] = Math.max(Math.min(previous[j], previous[j - 1], current[j - 1]), d);
+            }
+            previous = current;
+        }
+        return previous[q.length - 1];
+    },
+
+    /**
+     * Hausdorff distance between two outlines, in tolerance units
+     */
+    hausdorffDistance(a, b, scale) {
+        const p = this.resample(a, scale);
+        const q = this.resample(b, scale);
+        const directed = (from, to) => Math.max(...from.map(pt =>
+            Math.min(...to.map(other => this.pointDistance(pt, other, scale)))
+        ));
+        return Math.max(directed(p, q), directed(q, p));
+    },
+
+    /**
+     * Spread SAMPLES points evenly along a polyline (length in tolerance units)
+     */
+    resample(points, scale) {
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            lengths.push(lengths[i - 1] + this.pointDistance(points[i - 1], points[i], scale));
+        }
+        const total = lengths[lengths.length - 1];
+        if (total === 0) return [points[0]];
+
+        const samples = [];
+        let segment = 1;
+        for (let k = 0; k < this.SAMPLES; k++) {
+            const along = total * k / (this.SAMPLES - 1);
+            while (segment < points.length - 1 && lengths[segment] < along) segment++;
+            const span = lengths[segment] - lengths[segment - 1];
+            const t = span > 0 ? (along - lengths[segment - 1]) / span : 0;
+            const a = points[segment - 1];
+            const b = points[segment];
+            samples.push({ x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) });
+        }
+        return samples;
+    },
+
+    closeRing(points) {
+        return [...points, points[0]];
+    },
+
+    isPoint(p) {
+        return p && Number.isFinite(p.x) && Number.isFinite(p.y);
+    },
+
+    describe(element, typeKey) {
+        if (typeKey) return element[typeKey] || element.type;
+        return element.type === 'marker' ? 'Rollover' : element.type;
+    },
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoGrader;
+}
@@ -0,0 +1,251 @@
+/**
+ * Sequence Stratigraphy Exam - Command History Module
+ * One undo/redo history shared by the cross-section and Wheeler canvases.
+ * Each entry is a user action made of one or more canvas steps, e.g. a
+ * termination pair plus its Wheeler projection, undone and redone as a unit.
+ */
+
+class CommandHistory {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxHistory - Maximum number of entries kept
+     * @param {Function} options.onChange - Called after every record/undo/redo
+     */
+    constructor(options = {}) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = options.maxHistory || 100;
+        this.onChange = options.onChange || (() => {});
+
+        // Entry that collects steps of the current user action.
+        // Steps recorded in the same event (same JS task) share an entry.
+        this.openEntry = null;
+        this.groupDepth = 0;
+    }
+
+    /**
+     * Record a canvas action ({ action: 'add'|'remove'|'modify', ... })
+     * @param {DrawingCanvas} canvas - Canvas the action belongs to
+     * @param {Object} action
+     */
+    record(canvas, action) {
+        const step = { canvas: canvas, action: action };
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (action.joinPrevious && last) {
+            // Continuation of a multi-click action (second termination/drilling click)
+            last.steps.push(step);
+            this.openEntry = last;
+        } else if (this.openEntry) {
+            this.openEntry.steps.push(step);
+        } else {
+            const entry = { steps: [step], timestamp: Date.now() };
+            this.undoStack.push(entry);
+            if (this.undoStack.length > this.maxHistory) {
+                this.undoStack.shift();
+            }
+            this.openEntry = entry;
+        }
+
+        this.redoStack = [];
+        this.scheduleClose();
+        this.onChange();
+    }
+
+    /**
+     * Close the open entry once the current event has been handled
+     */
+    scheduleClose() {
+        const entry = this.openEntry;
+        Promise.resolve().then(() => {
+            if (this.groupDepth === 0 && this.openEntry === entry) {
+                this.openEntry = null;
+            }
+        });
+    }
+
+    /**
+     * Run fn and record everything it does as a single entry
+     * @param {Function} fn
+     */
+    group(fn) {
+        if (this.groupDepth === 0) this.openEntry = null;
+        this.groupDepth++;
+        try {
+            return fn();
+        } finally {
+            this.groupDepth--;
+            if (this.groupDepth === 0) this.openEntry = null;
+        }
+    }
+
+    /**
+     * Undo the most recent entry (all of its steps, newest first)
+     * @returns {boolean}
+     */
+    undo() {
+        if (this.undoStack.length === 0) return false;
+
+        this.openEntry = null;
+        const entry = this.undoStack.pop();
+        for (let i = entry.steps.length - 1; i >= 0; i--) {
+            const step = entry.steps[i];
+            step.canvas.applyUndo(step.action);
+        }
+        this.redoStack.push(entry);
+        this.onChange();
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone entry (steps in original order)
+     * @returns {boolean}
+     */
+    redo() {
+        if (this.redoStack.length === 0) return false;
+
+        this.openEntry = null;
+        const entry = this.redoStack.pop();
+        entry.steps.forEach(step => step.canvas.applyRedo(step.action));
+        this.undoStack.push(entry);
+        this.onChange();
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all entries
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.openEntry = null;
+        this.onChange();
+    }
+
+    /**
+     * Serialize for saving with the exam state. Steps name their canvas by
+     * its ID prefix; each canvas serializes its own actions (world units).
+     * @param {number} maxLength - Size limit in characters; the oldest undo
+     *   entries (then the farthest redo entries) are dropped to stay within it
+     * @returns {Object} { undo: [...], redo: [...] }
+     */
+    toJSON(maxLength) {
+        const serializeEntry = (entry) => ({
+            timestamp: entry.timestamp,
+            steps: entry.steps.map(step => ({
+                canvas: step.canvas.idPrefix,
+                action: step.canvas.serializeAction(step.action)
+            }))
+        });
+
+        const data = {
+            undo: this.undoStack.map(serializeEntry),
+            redo: this.redoStack.map(serializeEntry)
+        };
+
+        if (maxLength) {
+            const size = (entry) => JSON.stringify(entry).length + 1;
+            let total = JSON.stringify(data).length;
+            while (total > maxLength && data.undo.length > 0) {
+                total -= size(data.undo.shift());
+            }
+            while (total > maxLength && data.redo.length > 0) {
+                total -= size(data.redo.shift());
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Restore entries saved by toJSON. Call after the canvases are loaded,
+     * so steps can find their elements again.
+     * @param {Object} data
+     * @param {Object} canvases - Canvases by ID prefix, e.g. { xs: ..., wh: ... }
+     * @returns {boolean} false if the data was missing or could not be resolved
+     */
+    load(data, canvases) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.openEntry = null;
+
+        if (!data || !Array.isArray(data.undo) || !Array.isArray(data.redo)) {
+            this.onChange();
+            return false;
+        }
+
+        // Shared between entries, so steps on the same element keep sharing it
+        const cache = {};
+        const restoreEntry = (entry) => {
+            const steps = (entry.steps || []).map(step => {
+                const canvas = canvases[step.canvas];
+                const action = canvas ? canvas.deserializeAction(step.action, cache) : null;
+                return action ? { canvas: canvas, action: action } : null;
+            });
+            if (steps.length === 0 || steps.includes(null)) {
+                throw new Error('History entry refers to unknown elements');
+            }
+            return { steps: steps, timestamp: entry.timestamp };
+        };
+
+        try {
+            this.undoStack = data.undo.map(restoreEntry);
+            this.redoStack = data.redo.map(restoreEntry);
+        } catch (e) {
+            console.warn('Could not restore undo history:', e);
+            this.undoStack = [];
+            this.redoStack = [];
+            this.onChange();
+            return false;
+        }
+
+        this.onChange();
+        return true;
+    }
+
+    /**
+     * Drop the steps recorded for one element (withdrawn before it counted)
+     * @param {DrawingCanvas} canvas
+     * @param {Object} element
+     */
+    forgetElement(canvas, element) {
+        const keep = (entry) => {
+            entry.steps = entry.steps.filter(step =>
+                !(step.canvas === canvas && step.action.element === element)
+            );
+            return entry.steps.length > 0;
+        };
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+        this.openEntry = null;
+        this.onChange();
+    }
+
+    /**
+     * Drop every step that belongs to the given canvas (e.g. on loadState)
+     * @param {DrawingCanvas} canvas
+     */
+    forgetCanvas(canvas) {
+        const keep = (entry) => {
+            entry.steps = entry.steps.filter(step => step.canvas !== canvas);
+            return entry.steps.length > 0;
+        };
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+        this.openEntry = null;
+        this.onChange();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandHistory;
+}
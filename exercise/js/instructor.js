@@ -0,0 +1,704 @@
+/**
+ * Sequence Stratigraphy Exam - Instructor Grading Workbench
+ * Loads exported submissions (SeqStrat_Exam_*.json), replays each student's
+ * drawings over the cross-section and Wheeler backgrounds, collects rubric
+ * scores and exports a CSV grade sheet keyed by student ID. With an answer
+ * key loaded, the reference interpretation can be overlaid on the student's.
+ * The replayed drawings can be saved as SVG (e.g. for lecture slides).
+ * Runs offline; scores are kept in this browser's localStorage.
+ */
+
+(function() {
+    'use strict';
+
+    // ==================== CONFIGURATION ====================
+
+    const CONFIG = {
+        gradesKey: 'sequenceStratGrading_v1',
+        crossSectionImagePath: 'images/practice_crosssection.png',
+        // Rubric rows: section 1 drawings and the section 2 questions
+        rubric: [
+            { id: 'section1', label: 'Section 1: Wheeler Diagram', maxPoints: 50 },
+            { id: 'question1', label: 'Q1: Geological Evolution', maxPoints: 25 },
+            { id: 'question2', label: 'Q2: Shoreline Trajectories', maxPoints: 25 },
+            { id: 'question3', label: 'Q3: Surfaces and System Tracts', maxPoints: 30 },
+            { id: 'question4', label: 'Q4 (Bonus): Drilling Site', maxPoints: 10 }
+        ],
+        // Answer key overlay: key items found / not found by the student, student elements not in the key
+        overlayColors: {
+            matched: '#27ae60',
+            missed: '#e74c3c',
+            extra: '#FF8C00'
+        }
+    };
+
+    // ==================== APPLICATION STATE ====================
+
+    const State = {
+        submissions: [], // { studentId, studentName, fileName, data, autoGrade }
+        selected: null,
+        grades: {}, // studentId -> { scores: { section1, question1, ... }, comment }
+        answerKey: null,
+        showKeyOverlay: false,
+        keyOpacity: 0.7,
+        crossSectionBg: null,
+        wheelerBg: null,
+        crossSectionView: null,
+        wheelerView: null,
+        crossSectionCanvas: null,
+        wheelerCanvas: null
+    };
+
+    const DOM = {};
+
+    function cacheDOMElements() {
+        DOM.submissionFiles = document.getElementById('submissionFiles');
+        DOM.answerKeyFile = document.getElementById('answerKeyFile');
+        DOM.exportCsvBtn = document.getElementById('exportCsvBtn');
+        DOM.exportSvgBtn = document.getElementById('exportSvgBtn');
+        DOM.exportGeometryBtn = document.getElementById('exportGeometryBtn');
+        DOM.workbenchStatus = document.getElementById('workbenchStatus');
+        DOM.submissionList = document.getElementById('submissionList');
+        DOM.submissionTitle = document.getElementById('submissionTitle');
+        DOM.submissionMeta = document.getElementById('submissionMeta');
+        DOM.keyOverlayToggle = document.getElementById('keyOverlayToggle');
+        DOM.keyOpacity = document.getElementById('keyOpacity');
+        DOM.keyOpacityValue = document.getElementById('keyOpacityValue');
+        DOM.rubric = document.getElementById('rubric');
+        DOM.autoGradeDetails = document.getElementById('autoGradeDetails');
+        DOM.answers = document.getElementById('answers');
+        DOM.toastContainer = document.getElementById('toastContainer');
+    }
+
+    // ==================== INITIALIZATION ====================
+
+    async function init() {
+        cacheDOMElements();
+        State.grades = loadGrades();
+
+        await initializeCanvases();
+
+        DOM.submissionFiles.addEventListener('change', (e) => {
+            handleSubmissionFiles(e.target.files);
+            e.target.value = '';
+        });
+        DOM.answerKeyFile.addEventListener('change', (e) => {
+            handleAnswerKeyFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        DOM.exportCsvBtn.addEventListener('click', handleExportCsv);
+        DOM.exportSvgBtn.addEventListener('click', handleExportSvg);
+        DOM.exportGeometryBtn.addEventListener('click', handleExportGeometry);
+        DOM.keyOverlayToggle.addEventListener('change', () => {
+            State.showKeyOverlay = DOM.keyOverlayToggle.checked;
+            redrawCanvases();
+        });
+        DOM.keyOpacity.addEventListener('input', () => {
+            State.keyOpacity = DOM.keyOpacity.value / 100;
+            DOM.keyOpacityValue.textContent = `${DOM.keyOpacity.value}%`;
+            redrawCanvases();
+        });
+
+        renderSubmissionList();
+        renderSelected();
+    }
+
+    /**
+     * Backgrounds and read-only drawing canvases, sized as in the exercise
+     * so the world-unit geometry of the exports lands in the same place
+     */
+    async function initializeCanvases() {
+        State.crossSectionBg = new CrossSectionBackground('crossSectionBg', CONFIG.crossSectionImagePath);
+        await State.crossSectionBg.init();
+
+        State.wheelerBg = new WheelerDiagramBackground('wheelerBgCanvas');
+        State.wheelerBg.init(
+            State.crossSectionBg.canvas.width,
+            Math.round(State.crossSectionBg.canvas.height * 1.5)
+        );
+
+        State.crossSectionView = new CanvasViewport();
+        State.wheelerView = new CanvasViewport();
+        State.crossSectionBg.setViewport(State.crossSectionView);
+        State.wheelerBg.setViewport(State.wheelerView);
+
+        State.crossSectionCanvas = new DrawingCanvas('crossSectionCanvas', {
+            backgroundCanvasId: 'crossSectionBg',
+            idPrefix: 'xs',
+            viewport: State.crossSectionView,
+            axes: State.crossSectionBg.getAxisTransform(),
+            drawOverlay: drawKeyOverlay
+        });
+        State.wheelerCanvas = new DrawingCanvas('wheelerCanvas', {
+            backgroundCanvasId: 'wheelerBgCanvas',
+            idPrefix: 'wh',
+            isWheelerDiagram: true,
+            viewport: State.wheelerView,
+            axes: State.wheelerBg.getAxisTransform(),
+            drawOverlay: drawKeyOverlay
+        });
+
+        // Replay only: no drawing tool, wheel zoom still works
+        State.crossSectionCanvas.setTool(null);
+        State.wheelerCanvas.setTool(null);
+    }
+
+    // ==================== LOADING ====================
+
+    /**
+     * Read exported submissions; files that are not exports are reported and skipped
+     */
+    async function handleSubmissionFiles(files) {
+        const skipped = [];
+        let loaded = 0;
+        let replaced = 0;
+
+        for (const file of Array.from(files || [])) {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (e) {
+                skipped.push(file.name);
+                continue;
+            }
+            if (!isSubmission(data)) {
+                skipped.push(file.name);
+                continue;
+            }
+
+            const submission = {
+                studentId: String(data.metadata.studentId || 'Unknown'),
+                studentName: data.metadata.studentName || 'Unknown',
+                fileName: file.name,
+                data: data,
+                autoGrade: null
+            };
+            gradeAutomatically(submission);
+
+            // One row per student: a later submission replaces an earlier one
+            const index = State.submissions.findIndex(s => s.studentId === submission.studentId);
+            if (index >= 0) {
+                if (submissionTime(submission) < submissionTime(State.submissions[index])) continue;
+                if (State.selected === State.submissions[index]) State.selected = submission;
+                State.submissions[index] = submission;
+                replaced++;
+            } else {
+                State.submissions.push(submission);
+            }
+            loaded++;
+        }
+
+        State.submissions.sort((a, b) => a.studentId.localeCompare(b.studentId));
+        if (!State.selected && State.submissions.length > 0) State.selected = State.submissions[0];
+        renderSubmissionList();
+        renderSelected();
+
+        if (loaded > 0) {
+            showToast(`Loaded ${loaded} submission${loaded === 1 ? '' : 's'}` +
+                (replaced > 0 ? ` (${replaced} replaced an earlier file of the same student)` : ''), 'success');
+        }
+        if (skipped.length > 0) {
+            showToast(`Not an exam export, skipped: ${skipped.join(', ')}`, 'warning', 6000);
+        }
+    }
+
+    function isSubmission(data) {
+        return !!(data && data.metadata && data.section1 && data.section2);
+    }
+
+    function submissionTime(submission) {
+        return Date.parse(submission.data.metadata.submissionTime) || 0;
+    }
+
+    /**
+     * Load an answer key and grade section 1 of every submission against it
+     */
+    async function handleAnswerKeyFile(file) {
+        if (!file) return;
+
+        let key;
+        try {
+            key = JSON.parse(await file.text());
+        } catch (e) {
+            showToast(`${file.name} is not valid JSON`, 'error');
+            return;
+        }
+
+        const errors = AutoGrader.validateKey(key);
+        if (errors.length > 0) {
+            showToast(`Answer key not loaded: ${errors[0]}`, 'error', 6000);
+            return;
+        }
+
+        State.answerKey = key;
+        State.submissions.forEach(gradeAutomatically);
+        DOM.keyOverlayToggle.disabled = false;
+        renderSubmissionList();
+        renderSelected();
+        showToast(`Answer key loaded: ${key.title || file.name}`, 'success');
+    }
+
+    function gradeAutomatically(submission) {
+        submission.autoGrade = null;
+        if (!State.answerKey) return;
+        try {
+            submission.autoGrade = AutoGrader.grade(State.answerKey, submission.data);
+        } catch (e) {
+            console.error(`Auto-grading ${submission.fileName} failed:`, e);
+        }
+    }
+
+    // ==================== RENDERING ====================
+
+    function renderSubmissionList() {
+        DOM.submissionList.innerHTML = '';
+
+        State.submissions.forEach(submission => {
+            const item = document.createElement('li');
+            item.classList.toggle('selected', submission === State.selected);
+
+            const name = document.createElement('span');
+            name.className = 'submission-name';
+            name.textContent = `${submission.studentId} - ${submission.studentName}`;
+
+            const status = document.createElement('span');
+            status.className = 'submission-status';
+            const graded = countGraded(submission.studentId);
+            status.textContent = graded === 0
+                ? 'not graded'
+                : `${formatPoints(getTotal(submission.studentId))} pts (${graded}/${CONFIG.rubric.length})`;
+            item.classList.toggle('complete', graded === CONFIG.rubric.length);
+
+            item.appendChild(name);
+            item.appendChild(status);
+            item.addEventListener('click', () => {
+                State.selected = submission;
+                renderSubmissionList();
+                renderSelected();
+            });
+            DOM.submissionList.appendChild(item);
+        });
+
+        const count = State.submissions.length;
+        const complete = State.submissions.filter(s => countGraded(s.studentId) === CONFIG.rubric.length).length;
+        DOM.workbenchStatus.textContent = count === 0
+            ? 'No submissions loaded'
+            : `${count} submission${count === 1 ? '' : 's'}, ${complete} fully graded`;
+        DOM.exportCsvBtn.disabled = count === 0;
+    }
+
+    /**
+     * Replay the selected submission and show its rubric and answers
+     */
+    function renderSelected() {
+        const submission = State.selected;
+        DOM.rubric.innerHTML = '';
+        DOM.answers.innerHTML = '';
+        DOM.autoGradeDetails.innerHTML = '';
+
+        State.crossSectionView.reset();
+        State.wheelerView.reset();
+        DOM.exportSvgBtn.disabled = !submission;
+        DOM.exportGeometryBtn.disabled = !submission;
+
+        if (!submission) {
+            DOM.submissionTitle.textContent = 'No submission selected';
+            DOM.submissionMeta.textContent = 'Load exported SeqStrat_Exam_*.json files to start grading.';
+            State.crossSectionCanvas.loadState({ elements: [] });
+            State.wheelerCanvas.loadState({ elements: [] });
+            return;
+        }
+
+        const data = submission.data;
+        const meta = data.metadata;
+        DOM.submissionTitle.textContent = `${submission.studentId} - ${submission.studentName}`;
+        DOM.submissionMeta.textContent = [
+            submission.fileName,
+            meta.submissionTime ? `submitted ${new Date(meta.submissionTime).toLocaleString()}` : null,
+            meta.timeSpentFormatted ? `time spent ${meta.timeSpentFormatted}` : null,
+            data.statistics ? `${data.statistics.completionPercentage}% complete` : null
+        ].filter(Boolean).join(' | ');
+
+        replayPanel(State.crossSectionCanvas, data.section1.crossSection);
+        replayPanel(State.wheelerCanvas, data.section1.wheeler);
+
+        renderRubric(submission);
+        renderAutoGrade(submission);
+        renderAnswers(data);
+    }
+
+    /**
+     * Exports store world units with the axes they refer to; exports without
+     * axes hold canvas pixels and are drawn as they are
+     */
+    function replayPanel(canvas, panel) {
+        canvas.loadState({
+            elements: panel?.elements || [],
+            coordinates: panel?.coordinates ? 'world' : undefined
+        });
+    }
+
+    function renderRubric(submission) {
+        const grade = getGrade(submission.studentId);
+
+        CONFIG.rubric.forEach(row => {
+            const maxPoints = getMaxPoints(submission, row);
+            const line = document.createElement('div');
+            line.className = 'rubric-row';
+
+            const label = document.createElement('label');
+            label.textContent = `${row.label} (/${maxPoints})`;
+            label.htmlFor = `score-${row.id}`;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `score-${row.id}`;
+            input.min = 0;
+            input.max = maxPoints;
+            input.step = 0.5;
+            input.value = grade.scores[row.id] ?? '';
+            input.addEventListener('change', () => {
+                const value = input.value === '' ? null : Math.min(maxPoints, Math.max(0, parseFloat(input.value)));
+                if (value !== null && isNaN(value)) return;
+                input.value = value ?? '';
+                setScore(submission.studentId, row.id, value);
+            });
+
+            line.appendChild(label);
+            line.appendChild(input);
+
+            if (row.id === 'section1' && submission.autoGrade) {
+                const use = document.createElement('button');
+                use.className = 'btn-secondary';
+                use.textContent = `Use auto score ${formatPoints(submission.autoGrade.score)}`;
+                use.addEventListener('click', () => {
+                    input.value = submission.autoGrade.score;
+                    setScore(submission.studentId, row.id, submission.autoGrade.score);
+                });
+                line.appendChild(use);
+            }
+            DOM.rubric.appendChild(line);
+        });
+
+        const comment = document.createElement('textarea');
+        comment.className = 'rubric-comment';
+        comment.placeholder = 'Comment for this student (exported with the grades)';
+        comment.value = grade.comment || '';
+        comment.addEventListener('change', () => {
+            getGrade(submission.studentId).comment = comment.value;
+            saveGrades();
+        });
+        DOM.rubric.appendChild(comment);
+    }
+
+    function renderAutoGrade(submission) {
+        const result = submission.autoGrade;
+        if (!result) {
+            DOM.autoGradeDetails.textContent = State.answerKey
+                ? 'Auto-grading failed for this submission (see console).'
+                : 'Load an answer key to auto-grade section 1.';
+            return;
+        }
+
+        const heading = document.createElement('strong');
+        heading.textContent = `Auto-graded section 1: ${formatPoints(result.score)} / ${result.maxPoints}`;
+        DOM.autoGradeDetails.appendChild(heading);
+
+        const list = document.createElement('ul');
+        result.items.forEach(item => {
+            const li = document.createElement('li');
+            li.className = item.status;
+            li.textContent = `${item.label}: ${formatPoints(item.points)} / ${formatPoints(item.maxPoints)}` +
+                (item.distance === null ? ' (not found)'
+                    : item.status === 'missed' ? ` (not found, nearest at distance ${item.distance})`
+                    : ` (distance ${item.distance})`);
+            list.appendChild(li);
+        });
+        result.extra.forEach(extra => {
+            const li = document.createElement('li');
+            li.className = 'extra';
+            li.textContent = `Extra ${extra.label} (not in the key)`;
+            list.appendChild(li);
+        });
+        DOM.autoGradeDetails.appendChild(list);
+    }
+
+    function renderAnswers(data) {
+        CONFIG.rubric.filter(row => row.id !== 'section1').forEach(row => {
+            const question = data.section2[row.id];
+            const block = document.createElement('div');
+            block.className = 'question';
+
+            const title = document.createElement('h3');
+            title.textContent = `${row.label} - ${question?.wordCount || 0} / ${question?.maxWords || '?'} words`;
+            const text = document.createElement('p');
+            text.className = 'answer-text';
+            text.textContent = question?.text || 'No answer provided';
+            text.classList.toggle('empty', !question?.text);
+
+            block.appendChild(title);
+            block.appendChild(text);
+            DOM.answers.appendChild(block);
+        });
+    }
+
+    // ==================== ANSWER KEY OVERLAY ====================
+
+    function redrawCanvases() {
+        State.crossSectionCanvas.redraw();
+        State.wheelerCanvas.redraw();
+    }
+
+    /**
+     * Draw the answer key over the student's drawing: key items the student
+     * found in green, missed ones dashed red, and the student's elements that
+     * match nothing in the key outlined orange
+     */
+    function drawKeyOverlay(ctx, canvas) {
+        const submission = State.selected;
+        if (!State.showKeyOverlay || !State.answerKey || !submission?.autoGrade) return;
+
+        const onWheeler = canvas === State.wheelerCanvas;
+        const results = submission.autoGrade.items;
+        const toCanvas = (p) => canvas.axes.toCanvas(p);
+
+        ctx.save();
+        ctx.globalAlpha = State.keyOpacity;
+        ctx.lineWidth = canvas.px(3);
+        ctx.font = `bold ${canvas.px(12)}px Arial`;
+        ctx.textBaseline = 'bottom';
+
+        AutoGrader.keyItems(State.answerKey).forEach((item, i) => {
+            if ((item.category === 'wheelerTract') !== onWheeler) return;
+
+            const status = results[i].status;
+            ctx.strokeStyle = CONFIG.overlayColors[status];
+            ctx.fillStyle = CONFIG.overlayColors[status];
+            ctx.setLineDash(status === 'missed' ? [canvas.px(8), canvas.px(5)] : []);
+
+            if (item.category === 'rollover') {
+                const p = toCanvas(item);
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, canvas.px(8), 0, Math.PI * 2);
+                ctx.stroke();
+                return;
+            }
+
+            const points = item.points.map(toCanvas);
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+            if (item.category === 'wheelerTract') {
+                ctx.closePath();
+                ctx.save();
+                ctx.globalAlpha = State.keyOpacity * 0.2;
+                ctx.fill();
+                ctx.restore();
+            }
+            ctx.stroke();
+            ctx.fillText(item.label, points[0].x + canvas.px(4), points[0].y - canvas.px(4));
+        });
+
+        ctx.restore();
+
+        submission.autoGrade.extra.forEach(extra => {
+            const element = extra.id && canvas.getElementById(extra.id);
+            if (element) canvas.drawElementHighlight(element, CONFIG.overlayColors.extra);
+        });
+    }
+
+    // ==================== GRADES ====================
+
+    function getGrade(studentId) {
+        if (!State.grades[studentId]) State.grades[studentId] = { scores: {}, comment: '' };
+        return State.grades[studentId];
+    }
+
+    function setScore(studentId, rowId, value) {
+        const grade = getGrade(studentId);
+        if (value === null) {
+            delete grade.scores[rowId];
+        } else {
+            grade.scores[rowId] = value;
+        }
+        saveGrades();
+        renderSubmissionList();
+    }
+
+    function getMaxPoints(submission, row) {
+        const section = row.id === 'section1' ? submission.data.section1 : submission.data.section2[row.id];
+        return section?.maxPoints || row.maxPoints;
+    }
+
+    function countGraded(studentId) {
+        const scores = State.grades[studentId]?.scores || {};
+        return CONFIG.rubric.filter(row => typeof scores[row.id] === 'number').length;
+    }
+
+    function getTotal(studentId) {
+        const scores = State.grades[studentId]?.scores || {};
+        return CONFIG.rubric.reduce((sum, row) => sum + (scores[row.id] || 0), 0);
+    }
+
+    function loadGrades() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.gradesKey)) || {};
+        } catch (e) {
+            console.warn('Could not read saved grades:', e);
+            return {};
+        }
+    }
+
+    function saveGrades() {
+        try {
+            localStorage.setItem(CONFIG.gradesKey, JSON.stringify(State.grades));
+        } catch (e) {
+            console.error('Failed to save grades:', e);
+            showToast('Grades could not be saved in this browser - export the CSV before closing', 'error', 6000);
+        }
+    }
+
+    // ==================== CSV EXPORT ====================
+
+    function handleExportCsv() {
+        if (State.submissions.length === 0) {
+            showToast('Load submissions first', 'warning');
+            return;
+        }
+
+        const header = [
+            'Student ID', 'Student Name',
+            ...CONFIG.rubric.map(row => `${row.label} (/${row.maxPoints})`),
+            'Total', 'Auto Section 1', 'Comment', 'Submission Time', 'File'
+        ];
+        const rows = State.submissions.map(submission => {
+            const grade = State.grades[submission.studentId] || { scores: {}, comment: '' };
+            return [
+                submission.studentId,
+                submission.studentName,
+                ...CONFIG.rubric.map(row => grade.scores[row.id] ?? ''),
+                countGraded(submission.studentId) > 0 ? getTotal(submission.studentId) : '',
+                submission.autoGrade ? submission.autoGrade.score : '',
+                grade.comment || '',
+                submission.data.metadata.submissionTime || '',
+                submission.fileName
+            ];
+        });
+
+        // BOM so spreadsheet programs read umlauts in names correctly
+        const csv = '\uFEFF' + [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+        const date = new Date().toISOString().split('T')[0];
+        ExamExport.downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `SeqStrat_Grades_${date}.csv`);
+        showToast(`Grade sheet exported (${rows.length} students)`, 'success');
+    }
+
+    // ==================== SVG EXPORT ====================
+
+    /**
+     * Save the selected student's cross-section and Wheeler diagram as SVG
+     */
+    function handleExportSvg() {
+        const submission = State.selected;
+        if (!submission) return;
+
+        const prefix = `SeqStrat_${submission.studentId}_${submission.studentName.replace(/\s+/g, '_')}`;
+        const title = `${submission.studentName} (${submission.studentId})`;
+        const panels = [
+            { name: 'CrossSection', canvas: State.crossSectionCanvas, background: State.crossSectionBg, title: `Cross-section - ${title}` },
+            { name: 'Wheeler', canvas: State.wheelerCanvas, background: State.wheelerBg, title: `Wheeler diagram - ${title}` }
+        ];
+
+        try {
+            panels.forEach(panel => {
+                const svg = SVGExport.create(panel.canvas, panel.background, panel.title);
+                ExamExport.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${prefix}_${panel.name}.svg`);
+            });
+            showToast('Cross-section and Wheeler diagram saved as SVG', 'success');
+        } catch (e) {
+            console.error('SVG export failed:', e);
+            showToast('Could not create the SVG files: ' + e.message, 'error');
+        }
+    }
+
+    // ==================== GEOMETRY EXPORT ====================
+
+    /**
+     * Save the selected student's interpreted geometry in world units as
+     * GeoJSON (one file per panel) and long-format CSV
+     */
+    function handleExportGeometry() {
+        const submission = State.selected;
+        if (!submission) return;
+
+        const prefix = `SeqStrat_${submission.studentId}_${submission.studentName.replace(/\s+/g, '_')}`;
+        try {
+            const geojson = ExamExport.toGeoJSON(submission.data);
+            const json = (data) => new Blob([JSON.stringify(data, null, 2)], { type: 'application/geo+json' });
+            ExamExport.downloadBlob(json(geojson.crossSection), `${prefix}_CrossSection.geojson`);
+            ExamExport.downloadBlob(json(geojson.wheeler), `${prefix}_Wheeler.geojson`);
+            ExamExport.downloadBlob(
+                new Blob([ExamExport.toGeometryCSV(submission.data)], { type: 'text/csv;charset=utf-8' }),
+                `${prefix}_Geometry.csv`
+            );
+            showToast('Geometry saved as GeoJSON and CSV', 'success');
+        } catch (e) {
+            console.error('Geometry export failed:', e);
+            showToast('Could not create the geometry files: ' + e.message, 'error');
+        }
+    }
+
+    /**
+     * Quote a CSV field. Text starting with =, +, -, @, tab or CR gets a
+     * leading ' so spreadsheet programs do not run it as a formula (names,
+     * IDs and file names come from the students).
+     */
+    function csvField(value) {
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function formatPoints(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    // ==================== UTILITIES ====================
+
+    function showToast(message, type = 'info', duration = 3000) {
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+
+        const icons = {
+            info: 'ℹ️',
+            success: '✅',
+            warning: '⚠️',
+            error: '❌'
+        };
+
+        toast.innerHTML = `
+            <span class="toast-icon">${icons[type] || icons.info}</span>
+            <span class="toast-message"></span>
+            <button class="toast-close">&times;</button>
+        `;
+        toast.querySelector('.toast-message').textContent = message;
+
+        DOM.toastContainer.appendChild(toast);
+
+        toast.querySelector('.toast-close').addEventListener('click', () => {
+            toast.remove();
+        });
+
+        setTimeout(() => {
+            toast.style.animation = 'slideIn 0.3s ease reverse';
+            setTimeout(() => toast.remove(), 300);
+        }, duration);
+    }
+
+    // ==================== START ====================
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,79 @@
+/**
+ * Sequence Stratigraphy Exam - Link Registry Module
+ * Ties elements on the cross-section to their projections on the Wheeler
+ * diagram by persistent element ID (termination pair + termination line,
+ * drilling site/line + projection, rollover marker + rollover square,
+ * proposed system tract polygons).
+ */
+
+class LinkRegistry {
+    constructor() {
+        this.links = [];
+    }
+
+    /**
+     * Register a group of linked elements
+     * @param {string} kind - 'termination', 'drilling', 'rollover' or 'tract'
+     * @param {Array<string>} memberIds - IDs of all linked elements (both canvases)
+     * @returns {Object} The new link
+     */
+    add(kind, memberIds) {
+        const link = { kind: kind, members: memberIds.filter(Boolean) };
+        this.links.push(link);
+        return link;
+    }
+
+    /**
+     * Find the link an element belongs to
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    findByElement(id) {
+        if (!id) return null;
+        return this.links.find(link => link.members.includes(id)) || null;
+    }
+
+    /**
+     * Get the IDs of all elements linked to the given one
+     * @param {string} id
+     * @returns {Array<string>}
+     */
+    getPartners(id) {
+        const link = this.findByElement(id);
+        return link ? link.members.filter(member => member !== id) : [];
+    }
+
+    /**
+     * Remove all links
+     */
+    clear() {
+        this.links = [];
+    }
+
+    /**
+     * Serialize for saving with the exam state
+     * @returns {Array}
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.links));
+    }
+
+    /**
+     * Restore links from saved data
+     * @param {Array} data
+     * @returns {boolean} false if the data was missing or invalid
+     */
+    load(data) {
+        if (!Array.isArray(data)) return false;
+
+        this.links = data
+            .filter(link => link && typeof link.kind === 'string' && Array.isArray(link.members))
+            .map(link => ({ kind: link.kind, members: [...link.members] }));
+        return true;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkRegistry;
+}
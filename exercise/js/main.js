@@ -11,6 +11,9 @@
     const CONFIG = {
         examDuration: (2 * 60 + 10) * 60 * 1000, // 2 hours 10 minutes in ms
         autoSaveInterval: 30000, // 30 seconds
+        historyStorageLimit: 500000, // characters of undo/redo history kept in the saved state
+        curvePanelWidthRatio: 0.3, // sea-level panel width relative to the Wheeler canvas
+        curvePanelTools: ['select', 'eraser', 'text', 'curve'], // tools the sea-level panel accepts
         maxWordLimits: {
             q1: 400,
             q2: 400,
@@ -29,13 +32,24 @@
         studentName: null,
         examStarted: false,
         examSubmitted: false,
+        reviewMode: false, // read-only instructor view (index.html?review)
         timer: null,
         autoSave: null,
         crossSectionCanvas: null,
         wheelerCanvas: null,
         crossSectionBg: null,
         wheelerBg: null,
-        activeCanvas: 'crossSection', // 'crossSection' or 'wheeler'
+        crossSectionView: null,
+        wheelerView: null,
+        curveCanvas: null, // sea-level / supply panel (optional)
+        curveBg: null,
+        curveView: null,
+        showCurveOverlay: false,
+        links: null,
+        history: null,
+        wheelerDraft: null, // last result of Build Wheeler, until added or rebuilt
+        activeCanvas: 'crossSection', // 'crossSection', 'wheeler' or 'curves'
+        terminationTimeMode: 'prompt', // 'prompt' or 'strata'
         currentTool: 'line',
         currentColor: '#FF0000'
     };
@@ -64,11 +78,21 @@
         DOM.lineWidthValue = document.getElementById('lineWidthValue');
         DOM.surfaceSelect = document.getElementById('surfaceSelect');
         DOM.tractSelect = document.getElementById('tractSelect');
+        DOM.regionSelect = document.getElementById('regionSelect');
+        DOM.curveSelect = document.getElementById('curveSelect');
+        DOM.terminationTypeSelect = document.getElementById('terminationTypeSelect');
+        DOM.terminationTimeSelect = document.getElementById('terminationTimeSelect');
         DOM.undoBtn = document.getElementById('undoBtn');
         DOM.redoBtn = document.getElementById('redoBtn');
         DOM.clearCrossSectionBtn = document.getElementById('clearCrossSectionBtn');
         DOM.clearWheelerBtn = document.getElementById('clearWheelerBtn');
         DOM.resetAllBtn = document.getElementById('resetAllBtn');
+        DOM.restoreClearedBtn = document.getElementById('restoreClearedBtn');
+        DOM.zoomInBtn = document.getElementById('zoomInBtn');
+        DOM.zoomOutBtn = document.getElementById('zoomOutBtn');
+        DOM.resetViewBtn = document.getElementById('resetViewBtn');
+        DOM.crossSectionReadout = document.getElementById('crossSectionReadout');
+        DOM.wheelerReadout = document.getElementById('wheelerReadout');
 
         // Canvases
         DOM.crossSectionBg = document.getElementById('crossSectionBg');
@@ -77,6 +101,9 @@
         DOM.wheelerBgCanvas = document.getElementById('wheelerBgCanvas');
         DOM.wheelerCanvas = document.getElementById('wheelerCanvas');
         DOM.wheelerWrapper = document.getElementById('wheelerWrapper');
+        DOM.curveBgCanvas = document.getElementById('curveBgCanvas');
+        DOM.curveWrapper = document.getElementById('curveWrapper');
+        DOM.curveOverlayToggle = document.getElementById('curveOverlayToggle');
 
         // Questions
         DOM.q1 = document.getElementById('q1');
@@ -91,6 +118,8 @@
         // Footer
         DOM.exportBtn = document.getElementById('exportBtn');
         DOM.submitBtn = document.getElementById('submitBtn');
+        DOM.openSubmissionBtn = document.getElementById('openSubmissionBtn');
+        DOM.openSubmissionInput = document.getElementById('openSubmissionInput');
 
         // Modals
         DOM.submitModal = document.getElementById('submitModal');
@@ -112,9 +141,27 @@
         DOM.autoTractBtn = document.getElementById('autoTractBtn');
         DOM.cancelAutoTract = document.getElementById('cancelAutoTract');
         DOM.generateAutoTract = document.getElementById('generateAutoTract');
+        DOM.fillTractGaps = document.getElementById('fillTractGaps');
         DOM.tractFromNum = document.getElementById('tractFromNum');
         DOM.tractToNum = document.getElementById('tractToNum');
         DOM.autoTractType = document.getElementById('autoTractType');
+        DOM.proposeTracts = document.getElementById('proposeTracts');
+        DOM.acceptProposedTracts = document.getElementById('acceptProposedTracts');
+        DOM.discardProposedTracts = document.getElementById('discardProposedTracts');
+
+        // Build Wheeler elements
+        DOM.buildWheelerBtn = document.getElementById('buildWheelerBtn');
+        DOM.buildWheelerModal = document.getElementById('buildWheelerModal');
+        DOM.buildWheelerResult = document.getElementById('buildWheelerResult');
+        DOM.closeBuildWheeler = document.getElementById('closeBuildWheeler');
+        DOM.addBuildWheeler = document.getElementById('addBuildWheeler');
+
+        // Consistency checker
+        DOM.checkBtn = document.getElementById('checkBtn');
+        DOM.checkPanel = document.getElementById('checkPanel');
+        DOM.checkSummary = document.getElementById('checkSummary');
+        DOM.checkList = document.getElementById('checkList');
+        DOM.closeCheckPanel = document.getElementById('closeCheckPanel');
 
         // Toast container
         DOM.toastContainer = document.getElementById('toastContainer');
@@ -155,6 +202,11 @@
     function init() {
         cacheDOMElements();
         setupEventListeners();
+
+        if (new URLSearchParams(window.location.search).has('review')) {
+            startReviewMode();
+            return;
+        }
         checkForSavedExam();
     }
 
@@ -189,22 +241,7 @@
 
         // Initialize canvases
         initializeCanvases().then(() => {
-            // Restore canvas states
-            if (savedState.crossSectionState) {
-                AppState.crossSectionCanvas.loadState(savedState.crossSectionState);
-            }
-            if (savedState.wheelerState) {
-                AppState.wheelerCanvas.loadState(savedState.wheelerState);
-            }
-
-            // Restore answers
-            if (savedState.answers) {
-                DOM.q1.value = savedState.answers.question1 || '';
-                DOM.q2.value = savedState.answers.question2 || '';
-                DOM.q3.value = savedState.answers.question3 || '';
-                if (DOM.q4) DOM.q4.value = savedState.answers.question4 || '';
-                updateAllWordCounts();
-            }
+            applySavedState(savedState);
 
             // Start timer with remaining time
             const remainingTime = savedState.timeRemaining || CONFIG.examDuration;
@@ -214,6 +251,80 @@
         });
     }
 
+    /**
+     * Put drawings, links, counters, history and answers of a saved state
+     * onto the initialized canvases
+     */
+    function applySavedState(savedState) {
+        // Empty every panel first: a panel the state leaves out must not keep
+        // the drawings that were on it before (e.g. another opened submission)
+        const panels = [
+            [AppState.crossSectionCanvas, savedState.crossSectionState],
+            [AppState.wheelerCanvas, savedState.wheelerState],
+            [AppState.curveCanvas, savedState.curveState]
+        ];
+        panels.forEach(([canvas, state]) => {
+            if (!canvas) return;
+            canvas.loadState({ elements: [] });
+            if (state) canvas.loadState(state);
+        });
+
+        // Continue termination numbering where it left off
+        if (savedState.terminationCounter) {
+            AppState.crossSectionCanvas.restoreTerminationCounter({
+                count: savedState.terminationCounter.count || 0,
+                availableNumbers: savedState.terminationCounter.availableNumbers || []
+            });
+        } else {
+            AppState.crossSectionCanvas.resetTerminationCounter();
+        }
+
+        // Strata numbering too (older saves did not keep it: continue after
+        // the highest number on the canvas)
+        AppState.crossSectionCanvas.strataCounter.count = savedState.strataCounter
+            ? savedState.strataCounter.count || 0
+            : AppState.crossSectionCanvas.elements
+                .filter(el => el.type === 'strataNumber')
+                .reduce((max, el) => Math.max(max, el.number || 0), 0);
+
+        // Restore cross-canvas links (older saves only had termination numbers)
+        if (!AppState.links.load(savedState.links)) {
+            rebuildTerminationLinks();
+        }
+
+        // Undo/redo continue where they left off
+        AppState.history.load(savedState.history, getHistoryCanvases());
+
+        // Restore answers
+        const answers = savedState.answers || {};
+        DOM.q1.value = answers.question1 || '';
+        DOM.q2.value = answers.question2 || '';
+        DOM.q3.value = answers.question3 || '';
+        if (DOM.q4) DOM.q4.value = answers.question4 || '';
+        updateAllWordCounts();
+    }
+
+    /**
+     * Read-only view for instructors: no login, timer or auto-save; the
+     * drawings come from an opened submission and cannot be edited
+     */
+    function startReviewMode() {
+        AppState.reviewMode = true;
+        document.body.classList.add('review-mode');
+        DOM.loginModal.classList.add('hidden');
+        DOM.headerStudentInfo.textContent = 'Review mode (read-only)';
+        DOM.saveStatus.textContent = 'Not saved';
+
+        [DOM.q1, DOM.q2, DOM.q3, DOM.q4].forEach(textarea => {
+            if (textarea) textarea.readOnly = true;
+        });
+
+        initializeCanvases().then(() => {
+            setTool(null);
+            showToast('Open an exported submission (ZIP or JSON) to review it', 'info', 5000);
+        });
+    }
+
     async function initializeCanvases() {
         // Initialize cross-section background
         AppState.crossSectionBg = new CrossSectionBackground(
@@ -231,28 +342,91 @@
             Math.round(AppState.crossSectionBg.canvas.height * 1.5)
         );
 
+        // Zoom/pan views - each background moves together with its drawing canvas
+        AppState.crossSectionView = new CanvasViewport();
+        AppState.wheelerView = new CanvasViewport();
+        AppState.crossSectionBg.setViewport(AppState.crossSectionView);
+        AppState.wheelerBg.setViewport(AppState.wheelerView);
+
+        // Sea-level / supply panel: same height and time axis as the Wheeler diagram
+        if (DOM.curveBgCanvas) {
+            AppState.curveBg = new CurvePanelBackground('curveBgCanvas', AppState.wheelerBg);
+            AppState.curveBg.init(
+                Math.round(AppState.wheelerBg.canvas.width * CONFIG.curvePanelWidthRatio),
+                AppState.wheelerBg.canvas.height
+            );
+
+            // Share the displayed width in proportion to the canvas widths,
+            // so both panels are drawn at the same scale
+            DOM.wheelerWrapper.style.flex = `${AppState.wheelerBg.canvas.width} 1 0`;
+            DOM.curveWrapper.style.flex = `${AppState.curveBg.canvas.width} 1 0`;
+
+            // Zooming or panning one panel in time moves the other with it
+            AppState.curveView = new CanvasViewport();
+            AppState.curveBg.setViewport(AppState.curveView);
+            AppState.curveView.linkVertical(AppState.wheelerView);
+            AppState.wheelerView.linkVertical(AppState.curveView);
+        }
+
         // Shared termination counter
         AppState.terminationCounter = { count: 0 };
 
+        // Cross-section <-> Wheeler element links
+        AppState.links = new LinkRegistry();
+
+        // One undo/redo history for both canvases
+        AppState.history = new CommandHistory({ maxHistory: 100 });
+
         // Initialize drawing canvases
         AppState.crossSectionCanvas = new DrawingCanvas('crossSectionCanvas', {
             backgroundCanvasId: 'crossSectionBg',
+            idPrefix: 'xs',
+            viewport: AppState.crossSectionView,
+            axes: AppState.crossSectionBg.getAxisTransform(),
             terminationCounter: AppState.terminationCounter,
+            history: AppState.history,
             onTerminationPlaced: handleTerminationPlaced,
             onMarkerPlaced: handleMarkerPlaced,
             onDrillingLinePlaced: handleDrillingLinePlaced,
+            onCursorMove: (world) => updateCursorReadout(DOM.crossSectionReadout, AppState.crossSectionCanvas, world),
+            onElementModified: syncLinkedElements,
+            onElementsRemoved: handleElementsRemoved,
             onStateChange: () => triggerAutoSave(),
             onElementAdd: (element) => console.log('Element added:', element.type)
         });
 
         AppState.wheelerCanvas = new DrawingCanvas('wheelerCanvas', {
             backgroundCanvasId: 'wheelerBgCanvas',
+            idPrefix: 'wh',
             isWheelerDiagram: true,
+            viewport: AppState.wheelerView,
+            axes: AppState.wheelerBg.getAxisTransform(),
             terminationCounter: AppState.terminationCounter,
+            history: AppState.history,
+            onCursorMove: (world) => handleTimeCursor(AppState.wheelerCanvas, world),
+            onElementModified: handleWheelerElementModified,
+            onElementsRemoved: handleElementsRemoved,
             onStateChange: () => triggerAutoSave(),
-            onElementAdd: (element) => console.log('Element added:', element.type)
+            onElementAdd: (element) => console.log('Element added:', element.type),
+            drawOverlay: drawCurveOverlay
         });
 
+        if (AppState.curveBg) {
+            AppState.curveCanvas = new DrawingCanvas('curveCanvas', {
+                backgroundCanvasId: 'curveBgCanvas',
+                idPrefix: 'rsl',
+                viewport: AppState.curveView,
+                axes: AppState.curveBg.getAxisTransform(),
+                history: AppState.history,
+                onCursorMove: (world) => handleTimeCursor(AppState.curveCanvas, world),
+                onStateChange: () => {
+                    triggerAutoSave();
+                    if (AppState.showCurveOverlay) AppState.wheelerCanvas.redraw();
+                }
+            });
+            AppState.curveCanvas.setTool(null);
+        }
+
         // Set initial active canvas
         setActiveCanvas('crossSection');
     }
@@ -275,6 +449,9 @@
 
         AppState.timer.start();
 
+        // Drawings cleared before a reload can still be restored
+        updateRestoreClearedButton();
+
         // Initialize auto-save
         AppState.autoSave = new AutoSaveManager({
             interval: CONFIG.autoSaveInterval,
@@ -318,9 +495,25 @@
                 setSurfaceTool(surfaceType);
                 // Reset tract dropdown
                 DOM.tractSelect.value = '';
+                if (DOM.regionSelect) DOM.regionSelect.value = '';
+                if (DOM.curveSelect) DOM.curveSelect.value = '';
             }
         });
 
+        // Termination type dropdown (switches to the termination tool)
+        if (DOM.terminationTypeSelect) {
+            DOM.terminationTypeSelect.addEventListener('change', (e) => {
+                setTerminationTool(e.target.value);
+            });
+        }
+
+        // Termination time assignment (prompt or nearest strata number)
+        if (DOM.terminationTimeSelect) {
+            DOM.terminationTimeSelect.addEventListener('change', (e) => {
+                AppState.terminationTimeMode = e.target.value;
+            });
+        }
+
         // System tract dropdown
         DOM.tractSelect.addEventListener('change', (e) => {
             const tractType = e.target.value;
@@ -328,21 +521,64 @@
                 setSystemTractTool(tractType);
                 // Reset surface dropdown
                 DOM.surfaceSelect.value = '';
+                if (DOM.regionSelect) DOM.regionSelect.value = '';
+                if (DOM.curveSelect) DOM.curveSelect.value = '';
             }
         });
 
+        // Wheeler gap region dropdown
+        if (DOM.regionSelect) {
+            DOM.regionSelect.addEventListener('change', (e) => {
+                const regionType = e.target.value;
+                if (regionType) {
+                    setRegionTool(regionType);
+                    DOM.surfaceSelect.value = '';
+                    DOM.tractSelect.value = '';
+                    if (DOM.curveSelect) DOM.curveSelect.value = '';
+                }
+            });
+        }
+
+        // Sea-level panel curve dropdown
+        if (DOM.curveSelect) {
+            DOM.curveSelect.addEventListener('change', (e) => {
+                const curveType = e.target.value;
+                if (curveType) {
+                    setCurveTool(curveType);
+                    DOM.surfaceSelect.value = '';
+                    DOM.tractSelect.value = '';
+                    if (DOM.regionSelect) DOM.regionSelect.value = '';
+                }
+            });
+        }
+
+        // Sea-level curves as a reference overlay on the Wheeler diagram
+        if (DOM.curveOverlayToggle) {
+            DOM.curveOverlayToggle.addEventListener('change', (e) => {
+                AppState.showCurveOverlay = e.target.checked;
+                if (AppState.wheelerCanvas) AppState.wheelerCanvas.redraw();
+            });
+        }
+
         // Undo/Redo
         DOM.undoBtn.addEventListener('click', handleUndo);
         DOM.redoBtn.addEventListener('click', handleRedo);
 
+        // Zoom/pan
+        if (DOM.zoomInBtn) DOM.zoomInBtn.addEventListener('click', () => zoomActiveView(1.25));
+        if (DOM.zoomOutBtn) DOM.zoomOutBtn.addEventListener('click', () => zoomActiveView(0.8));
+        if (DOM.resetViewBtn) DOM.resetViewBtn.addEventListener('click', resetActiveView);
+
         // Clear buttons
         DOM.clearCrossSectionBtn.addEventListener('click', () => showClearModal('crossSection'));
         DOM.clearWheelerBtn.addEventListener('click', () => showClearModal('wheeler'));
         DOM.resetAllBtn.addEventListener('click', () => showClearModal('all'));
+        if (DOM.restoreClearedBtn) DOM.restoreClearedBtn.addEventListener('click', handleRestoreCleared);
 
         // Canvas wrapper clicks (for selecting active canvas)
         DOM.crossSectionWrapper.addEventListener('click', () => setActiveCanvas('crossSection'));
         DOM.wheelerWrapper.addEventListener('click', () => setActiveCanvas('wheeler'));
+        if (DOM.curveWrapper) DOM.curveWrapper.addEventListener('click', () => setActiveCanvas('curves'));
 
         // Question text areas
         DOM.q1.addEventListener('input', () => updateWordCount('q1'));
@@ -352,6 +588,14 @@
 
         // Footer buttons
         DOM.exportBtn.addEventListener('click', handleExport);
+        if (DOM.openSubmissionBtn && DOM.openSubmissionInput) {
+            DOM.openSubmissionBtn.addEventListener('click', () => DOM.openSubmissionInput.click());
+            DOM.openSubmissionInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) handleOpenSubmission(file);
+            });
+        }
         DOM.submitBtn.addEventListener('click', () => showModal(DOM.submitModal));
 
         // Modal buttons
@@ -369,9 +613,32 @@
         DOM.autoTractBtn.addEventListener('click', () => showModal(DOM.autoTractModal));
         DOM.cancelAutoTract.addEventListener('click', () => hideModal(DOM.autoTractModal));
         DOM.generateAutoTract.addEventListener('click', handleGenerateAutoTract);
+        if (DOM.fillTractGaps) DOM.fillTractGaps.addEventListener('click', handleFillTractGaps);
+        if (DOM.proposeTracts) {
+            DOM.proposeTracts.addEventListener('click', handleProposeTracts);
+            DOM.acceptProposedTracts.addEventListener('click', handleAcceptProposedTracts);
+            DOM.discardProposedTracts.addEventListener('click', handleDiscardProposedTracts);
+        }
+
+        // Build Wheeler modal
+        if (DOM.buildWheelerBtn) {
+            DOM.buildWheelerBtn.addEventListener('click', handleBuildWheeler);
+            DOM.closeBuildWheeler.addEventListener('click', () => hideModal(DOM.buildWheelerModal));
+            DOM.addBuildWheeler.addEventListener('click', handleAddWheelerDraft);
+        }
+
+        // Consistency checker
+        if (DOM.checkBtn) {
+            DOM.checkBtn.addEventListener('click', handleCheckConsistency);
+            DOM.closeCheckPanel.addEventListener('click', () => {
+                DOM.checkPanel.hidden = true;
+                clearCheckHighlight();
+            });
+        }
 
         // Keyboard shortcuts
         document.addEventListener('keydown', handleKeyboardShortcuts);
+        document.addEventListener('keyup', handleKeyboardRelease);
 
         // Before unload warning
         window.addEventListener('beforeunload', handleBeforeUnload);
@@ -450,33 +717,37 @@
     }
 
     function handleUndo() {
-        // Try to undo on the active canvas first, then the other one
-        const activeCanvas = getActiveDrawingCanvas();
-        const otherCanvas = AppState.activeCanvas === 'crossSection'
-            ? AppState.wheelerCanvas
-            : AppState.crossSectionCanvas;
-
-        if (activeCanvas && activeCanvas.undo()) {
+        // A termination or drilling site waiting for its second click: undo
+        // takes back the first click
+        if (cancelPendingPlacements()) {
             showToast('Undo', 'info', 1000);
-        } else if (otherCanvas && otherCanvas.undo()) {
+            return;
+        }
+        // Single history: undoes the latest action whichever canvas it was on
+        if (AppState.history && AppState.history.undo()) {
             showToast('Undo', 'info', 1000);
         }
     }
 
     function handleRedo() {
-        // Try to redo on the active canvas first, then the other one
-        const activeCanvas = getActiveDrawingCanvas();
-        const otherCanvas = AppState.activeCanvas === 'crossSection'
-            ? AppState.wheelerCanvas
-            : AppState.crossSectionCanvas;
-
-        if (activeCanvas && activeCanvas.redo()) {
-            showToast('Redo', 'info', 1000);
-        } else if (otherCanvas && otherCanvas.redo()) {
+        cancelPendingPlacements();
+        if (AppState.history && AppState.history.redo()) {
             showToast('Redo', 'info', 1000);
         }
     }
 
+    /**
+     * @returns {boolean} true if a two-click placement was cancelled
+     */
+    function cancelPendingPlacements() {
+        let cancelled = false;
+        [AppState.crossSectionCanvas, AppState.wheelerCanvas].forEach(canvas => {
+            if (canvas && canvas.cancelPendingPlacement()) cancelled = true;
+        });
+        if (cancelled) triggerAutoSave();
+        return cancelled;
+    }
+
     /**
      * Handle stratal termination placed on cross-section
      * Projects a horizontal line to the Wheeler diagram spanning from x1 to x2
@@ -485,29 +756,18 @@
     function handleTerminationPlaced(termData) {
         if (!AppState.wheelerCanvas) return;
 
-        // Get Wheeler canvas dimensions
-        const wheelerCanvas = AppState.wheelerCanvas.canvas;
-
-        // Wheeler diagram has padding: top: 40, right: 40, bottom: 60, left: 70
-        const padding = { top: 40, right: 40, bottom: 60, left: 70 };
-
-        // Calculate the plot area dimensions
-        const plotWidth = wheelerCanvas.width - padding.left - padding.right;
-        const plotHeight = wheelerCanvas.height - padding.top - padding.bottom;
-
-        // Calculate X position ratios from cross-section (x1 = landward, x2 = basinward)
-        const x1Ratio = termData.x1 / termData.canvasWidth;
-        const x2Ratio = termData.x2 / termData.canvasWidth;
+        const crossAxes = AppState.crossSectionCanvas.axes;
+        const wheelerAxes = AppState.wheelerCanvas.axes;
 
-        // Map to Wheeler diagram X coordinates (within the plot area)
-        // The line should span the SAME X range as the two clicked points on the cross-section
-        const wheelerX1 = padding.left + (x1Ratio * plotWidth);
-        const wheelerX2 = padding.left + (x2Ratio * plotWidth);
+        // Map cross-section X (x1 = landward, x2 = basinward) through km,
+        // so the line spans the SAME distance range as the two clicked points
+        const wheelerX1 = wheelerAxes.xToCanvas(crossAxes.xToWorld(termData.x1));
+        const wheelerX2 = wheelerAxes.xToCanvas(crossAxes.xToWorld(termData.x2));
 
-        // Calculate Y position in Wheeler - spread terminations across time axis
-        // Map termination numbers to Y positions (older at bottom, younger at top)
-        const yRatio = termData.number / 50; // Assuming max 50 terminations
-        const wheelerY = wheelerCanvas.height - padding.bottom - (yRatio * plotHeight);
+        // Y position in Wheeler - the termination's chronostratigraphic time step
+        // (older at bottom, younger at top)
+        const time = chooseTerminationTime(termData);
+        const wheelerY = wheelerAxes.yToCanvas(time);
 
         // Add a horizontal line to the Wheeler diagram spanning from x1 to x2
         // Lines are ALWAYS BLACK regardless of the color used on the cross-section
@@ -519,21 +779,164 @@
             y: wheelerY,
             label: termData.label,
             number: termData.number,
+            terminationType: termData.terminationType,
             lineWidth: 4,
             timestamp: Date.now()
         };
 
         AppState.wheelerCanvas.addElement(lineElement);
-        showToast(`Termination ${termData.label} projected to Wheeler diagram`, 'success', 2000);
+        AppState.links.add('termination', [...termData.elementIds, lineElement.id]);
+        showToast(`Termination ${termData.label} projected to Wheeler diagram at time ${time}`, 'success', 2000);
+    }
+
+    /**
+     * Pick the time step for a new termination.
+     * The nearest strata number is used directly in 'strata' mode,
+     * otherwise it is offered as the default in a prompt.
+     */
+    function chooseTerminationTime(termData) {
+        const wheelerAxes = AppState.wheelerCanvas.axes;
+        const maxTime = wheelerAxes.yMax;
+        const strata = findNearestStrataNumber([
+            { x: termData.x1, y: termData.y1 },
+            { x: termData.x2, y: termData.y2 }
+        ]);
+        const suggested = Math.min(maxTime, strata ? strata.number : termData.number);
+
+        if (AppState.terminationTimeMode === 'strata' && strata) {
+            return suggested;
+        }
+
+        const answer = prompt(
+            `Time step for termination ${termData.label} (${wheelerAxes.yMin}-${maxTime}, older = smaller):`,
+            suggested
+        );
+        if (answer === null || answer.trim() === '') return suggested;
+
+        const time = parseFloat(answer);
+        if (isNaN(time) || time < wheelerAxes.yMin || time > maxTime) {
+            showToast(`Invalid time step, using ${suggested}`, 'warning', 3000);
+            return suggested;
+        }
+        return time;
+    }
+
+    /**
+     * Find the strata number closest to any of the given cross-section points
+     * @returns {Object|null}
+     */
+    function findNearestStrataNumber(points) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        AppState.crossSectionCanvas.elements.forEach(el => {
+            if (el.type !== 'strataNumber') return;
+            points.forEach(p => {
+                const distance = Math.hypot(el.x - p.x, el.y - p.y);
+                if (distance < nearestDistance) {
+                    nearest = el;
+                    nearestDistance = distance;
+                }
+            });
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Get the time step of a termination from its projected Wheeler line
+     * @returns {number|null}
+     */
+    function getTerminationTime(number) {
+        const line = AppState.wheelerCanvas.elements.find(el =>
+            el.type === 'terminationLine' && el.number === number
+        );
+        return line ? roundTime(AppState.wheelerCanvas.axes.yToWorld(line.y)) : null;
+    }
+
+    /**
+     * Strip floating-point noise from pixel -> time conversions
+     */
+    function roundTime(time) {
+        return Math.round(time * 100) / 100;
+    }
+
+    /**
+     * Wheeler element edited with the select tool (or by undo/redo of an edit)
+     */
+    function handleWheelerElementModified(element) {
+        if (element.type === 'terminationLine') {
+            const time = roundTime(AppState.wheelerCanvas.axes.yToWorld(element.y));
+            showToast(`Termination ${element.label} re-timed to time ${time}`, 'info', 1500);
+
+            // Rollovers dated by this termination move with it (undo re-runs this)
+            AppState.wheelerCanvas.elements
+                .filter(el => el.type === 'rolloverSquare' && el.timeSource === element.number)
+                .forEach(square => {
+                    square.y = element.y;
+                    square.time = time;
+                });
+            AppState.wheelerCanvas.redraw();
+        } else if (element.type === 'rolloverSquare') {
+            element.time = roundTime(AppState.wheelerCanvas.axes.yToWorld(element.y));
+        }
+        syncLinkedElements(element);
     }
 
     /**
      * Handle clinoform rollover marker placed on cross-section
-     * Markers are only placed on the cross-section, no projection to Wheeler diagram
+     * Projects a rollover square to the Wheeler diagram at the same distance.
+     * Its time is taken from the nearest termination or strata number.
      */
     function handleMarkerPlaced(markerData) {
-        // Rollover markers stay on cross-section only - no Wheeler projection
-        // This callback is kept for potential future use but does nothing
+        if (!AppState.wheelerCanvas) return;
+
+        const reference = findNearestTimeReference(markerData.x, markerData.y);
+        const time = reference && reference.type === 'termination'
+            ? getTerminationTime(reference.number)
+            : reference && reference.number;
+        if (time === null || time === undefined) {
+            showToast('Rollover not projected: place a termination or strata number near it first', 'warning', 3000);
+            return;
+        }
+
+        const crossAxes = AppState.crossSectionCanvas.axes;
+        const wheelerAxes = AppState.wheelerCanvas.axes;
+
+        const squareElement = {
+            type: 'rolloverSquare',
+            color: '#FFA500',
+            x: wheelerAxes.xToCanvas(crossAxes.xToWorld(markerData.x)),
+            y: wheelerAxes.yToCanvas(time),
+            time: time,
+            timestamp: Date.now()
+        };
+        // Termination the time came from, to follow it when it is re-timed
+        if (reference.type === 'termination') squareElement.timeSource = reference.number;
+
+        AppState.wheelerCanvas.addElement(squareElement);
+        AppState.links.add('rollover', [markerData.elementId, squareElement.id]);
+        showToast(`Rollover projected to Wheeler diagram at time ${time}`, 'success', 2000);
+    }
+
+    /**
+     * Find the termination or strata number closest to a cross-section position
+     * @returns {Object|null} The dating element
+     */
+    function findNearestTimeReference(x, y) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        AppState.crossSectionCanvas.elements.forEach(el => {
+            if (el.type !== 'termination' && el.type !== 'strataNumber') return;
+            const distance = Math.hypot(el.x - x, el.y - y);
+            if (distance < nearestDistance) {
+                nearest = el;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
     }
 
     /**
@@ -543,33 +946,115 @@
     function handleDrillingLinePlaced(drillingData) {
         if (!AppState.wheelerCanvas) return;
 
-        // Get Wheeler canvas dimensions
-        const wheelerCanvas = AppState.wheelerCanvas.canvas;
-
-        // Wheeler diagram has padding: top: 40, right: 40, bottom: 60, left: 70
-        const padding = { top: 40, right: 40, bottom: 60, left: 70 };
-
-        // Calculate the plot area dimensions
-        const plotHeight = wheelerCanvas.height - padding.top - padding.bottom;
-
-        // Calculate X position ratio from cross-section
-        const xRatio = drillingData.x / drillingData.canvasWidth;
+        const crossAxes = AppState.crossSectionCanvas.axes;
+        const wheelerAxes = AppState.wheelerCanvas.axes;
 
-        // Map to Wheeler diagram X coordinate (within the plot area)
-        const plotWidth = wheelerCanvas.width - padding.left - padding.right;
-        const wheelerX = padding.left + (xRatio * plotWidth);
+        // Map to Wheeler diagram X coordinate at the same distance (km)
+        const wheelerX = wheelerAxes.xToCanvas(crossAxes.xToWorld(drillingData.x));
 
-        // Add a vertical line spanning the full height of the Wheeler diagram
+        // Add a vertical line spanning the full time range of the Wheeler diagram
         const lineElement = {
             type: 'drillingProjection',
             color: 'rgba(255, 0, 0, 0.4)',  // Semi-transparent red
             x: wheelerX,
-            y1: padding.top,
-            y2: wheelerCanvas.height - padding.bottom,
+            y1: wheelerAxes.yToCanvas(wheelerAxes.yMax),
+            y2: wheelerAxes.yToCanvas(wheelerAxes.yMin),
             timestamp: Date.now()
         };
 
         AppState.wheelerCanvas.addElement(lineElement);
+        AppState.links.add('drilling', [...drillingData.elementIds, lineElement.id]);
+    }
+
+    // ==================== LINKED ELEMENTS ====================
+
+    /**
+     * Find an element by ID on either canvas
+     * @returns {Object|null} { canvas, element }
+     */
+    function findElementById(id) {
+        for (const canvas of [AppState.crossSectionCanvas, AppState.wheelerCanvas]) {
+            const element = canvas.getElementById(id);
+            if (element) return { canvas, element };
+        }
+        return null;
+    }
+
+    /**
+     * Erasing one side of a link removes its partners too; the removals are
+     * recorded in the same history entry, so one undo restores them all
+     */
+    function handleElementsRemoved(elements) {
+        elements.forEach(element => {
+            AppState.links.getPartners(element.id).forEach(id => {
+                const found = findElementById(id);
+                if (found) found.canvas.removeElement(found.element);
+            });
+        });
+    }
+
+    /**
+     * Moving one side of a link updates its partner on the other canvas
+     */
+    function syncLinkedElements(element) {
+        const link = AppState.links.findByElement(element.id);
+        if (!link) return;
+
+        const members = link.members
+            .map(id => findElementById(id))
+            .filter(Boolean)
+            .map(found => found.element);
+        const ofType = (type) => members.find(el => el.type === type);
+        const crossAxes = AppState.crossSectionCanvas.axes;
+        const wheelerAxes = AppState.wheelerCanvas.axes;
+        const toWheelerX = (x) => wheelerAxes.xToCanvas(crossAxes.xToWorld(x));
+
+        if (link.kind === 'termination' && element.type === 'termination') {
+            const line = ofType('terminationLine');
+            const xs = members.filter(el => el.type === 'termination').map(el => el.x);
+            if (!line) return;
+            line.x1 = toWheelerX(Math.min(...xs));
+            line.x2 = toWheelerX(Math.max(...xs));
+        } else if (link.kind === 'rollover' && element.type === 'marker') {
+            const square = ofType('rolloverSquare');
+            if (!square) return;
+            square.x = toWheelerX(element.x);
+        } else if (link.kind === 'drilling' && element.type === 'drillingLine') {
+            const projection = ofType('drillingProjection');
+            if (!projection) return;
+            projection.x = toWheelerX(element.x1);
+        } else if (link.kind === 'drilling' && element.type === 'drillingProjection') {
+            // Shift the rig and well path to the projection's distance
+            const line = ofType('drillingLine');
+            const site = ofType('drillingSite');
+            if (!line) return;
+            const shift = crossAxes.xToCanvas(wheelerAxes.xToWorld(element.x)) - line.x1;
+            line.x1 += shift;
+            line.x2 += shift;
+            if (site) site.x += shift;
+        } else {
+            return;
+        }
+
+        AppState.crossSectionCanvas.redraw();
+        AppState.wheelerCanvas.redraw();
+        triggerAutoSave();
+    }
+
+    /**
+     * Re-create termination links for sessions saved before links existed
+     * (terminations and their Wheeler lines share a number)
+     */
+    function rebuildTerminationLinks() {
+        AppState.links.clear();
+        AppState.wheelerCanvas.elements
+            .filter(el => el.type === 'terminationLine')
+            .forEach(line => {
+                const points = AppState.crossSectionCanvas.elements.filter(el =>
+                    el.type === 'termination' && el.number === line.number
+                );
+                AppState.links.add('termination', [...points.map(el => el.id), line.id]);
+            });
     }
 
     /**
@@ -608,8 +1093,10 @@
             return;
         }
 
-        // Sort by number (time order - lower numbers are older, at bottom)
-        terminationLines.sort((a, b) => a.number - b.number);
+        // Sort by time, the line's own y (older first, at bottom); lines can be
+        // re-timed, so the number is not the time order
+        const wheelerAxes = AppState.wheelerCanvas.axes;
+        terminationLines.sort((a, b) => wheelerAxes.yToWorld(a.y) - wheelerAxes.yToWorld(b.y));
 
         // Build polygon points:
         // Go up the left side (x1 values, from oldest to youngest)
@@ -650,6 +1137,351 @@
         showToast(`${tractType} system tract generated from terminations ${fromNum}-${toNum}`, 'success');
     }
 
+    /**
+     * Fill the space between system tracts on the Wheeler diagram with
+     * hiatus / erosion regions. Regions from an earlier fill are replaced.
+     */
+    function handleFillTractGaps() {
+        const canvas = AppState.wheelerCanvas;
+        if (!canvas) {
+            showToast('Wheeler canvas not initialized', 'error');
+            return;
+        }
+
+        const worldElements = canvas.getWorldElements();
+        const tracts = worldElements.filter(el => el.type === 'systemTract');
+        if (tracts.length === 0) {
+            showToast('Generate or draw system tracts first', 'error');
+            return;
+        }
+
+        const lines = worldElements
+            .filter(el => el.type === 'terminationLine')
+            .map(el => ({ time: el.y, x1: el.x1, x2: el.x2, terminationType: el.terminationType }));
+        const gaps = WheelerBuilder.findGaps(tracts, lines);
+
+        const previous = canvas.elements.filter(el => el.type === 'region' && el.autoFilled);
+        AppState.history.group(() => {
+            previous.forEach(el => canvas.removeElement(el));
+            gaps.forEach(gap => {
+                const region = canvas.createRegion(gap.regionType, gap.points.map(p => canvas.axes.toCanvas(p)));
+                region.autoFilled = true;
+                canvas.addElement(region);
+            });
+        });
+
+        hideModal(DOM.autoTractModal);
+        const erosion = gaps.filter(gap => gap.regionType === 'erosion').length;
+        showToast(`Filled ${gaps.length} gap${gaps.length === 1 ? '' : 's'} (${gaps.length - erosion} hiatus, ${erosion} erosion)`, 'success');
+    }
+
+    /**
+     * Propose systems tracts on both canvases from the traced bounding
+     * surfaces and the strata numbers. Proposals are drawn dashed until
+     * accepted; proposing again replaces the ones still open.
+     */
+    function handleProposeTracts() {
+        const input = getWheelerBuilderInput();
+        if (!input) return;
+
+        const section = AppState.crossSectionCanvas;
+        const wheeler = AppState.wheelerCanvas;
+        const yMax = wheeler.axes.yMax;
+        const result = WheelerBuilder.proposeTracts(input);
+        const tracts = result.tracts.filter(tract => tract.time0 < yMax);
+
+        if (tracts.length === 0) {
+            showToast('No system tracts found: trace SB, BSFR, TS/MRS or MFS surfaces across numbered strata', 'error');
+            return;
+        }
+
+        const addProposal = (canvas, tractType, points) => {
+            const element = {
+                type: 'systemTract',
+                tractType: tractType,
+                color: canvas.systemTractColors[tractType],
+                points: points.map(p => canvas.axes.toCanvas(p)),
+                proposed: true,
+                timestamp: Date.now()
+            };
+            canvas.addElement(element);
+            return element;
+        };
+
+        AppState.history.group(() => {
+            getProposedTracts().forEach(({ canvas, element }) => canvas.removeElement(element));
+
+            tracts.forEach(tract => {
+                // Both canvases' polygons of a tract are erased together
+                const members = tract.section.map(points => addProposal(section, tract.tractType, points));
+                if (tract.wheeler) {
+                    const points = tract.wheeler.map(p => ({ x: p.x, y: Math.min(p.y, yMax) }));
+                    members.push(addProposal(wheeler, tract.tractType, points));
+                }
+                AppState.links.add('tract', members.map(el => el.id));
+            });
+        });
+
+        hideModal(DOM.autoTractModal);
+        const summary = tracts.map(tract => `${tract.tractType} ${tract.time0}-${tract.time1}`).join(', ');
+        showToast(`Proposed ${summary}. Adjust or erase them, then Accept Proposals (Auto Tract).`, 'success', 6000);
+        if (result.warnings.length > 0) {
+            const more = result.warnings.length > 1 ? ` (+${result.warnings.length - 1} more)` : '';
+            showToast(result.warnings[0] + more, 'warning', 6000);
+        }
+    }
+
+    /**
+     * System tracts still marked as proposed, on either canvas
+     */
+    function getProposedTracts() {
+        const proposed = [];
+        [AppState.crossSectionCanvas, AppState.wheelerCanvas].forEach(canvas => {
+            canvas.elements
+                .filter(el => el.type === 'systemTract' && el.proposed)
+                .forEach(element => proposed.push({ canvas, element }));
+        });
+        return proposed;
+    }
+
+    /**
+     * Keep the remaining proposals as the student's own tracts (one undo step)
+     */
+    function handleAcceptProposedTracts() {
+        const proposed = getProposedTracts();
+        if (proposed.length === 0) {
+            showToast('No proposed system tracts to accept', 'info');
+            return;
+        }
+
+        AppState.history.group(() => {
+            proposed.forEach(({ canvas, element }) => {
+                element.proposed = false;
+                canvas.recordModify(element, { proposed: true }, { proposed: false });
+            });
+        });
+
+        hideModal(DOM.autoTractModal);
+        showToast(`Accepted ${proposed.length} proposed system tract polygon${proposed.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    function handleDiscardProposedTracts() {
+        const proposed = getProposedTracts();
+        if (proposed.length === 0) {
+            showToast('No proposed system tracts to discard', 'info');
+            return;
+        }
+
+        AppState.history.group(() => {
+            proposed.forEach(({ canvas, element }) => canvas.removeElement(element));
+        });
+
+        hideModal(DOM.autoTractModal);
+        showToast('Proposed system tracts discarded (Ctrl+Z to undo)', 'info');
+    }
+
+    /**
+     * Draft the Wheeler diagram from the cross-section interpretation and
+     * compare it with the student's own termination lines
+     */
+    function handleBuildWheeler() {
+        const input = getWheelerBuilderInput();
+        if (!input) return;
+
+        const wheelerAxes = AppState.wheelerCanvas.axes;
+        const draft = WheelerBuilder.build(input);
+
+        draft.strata
+            .filter(stratum => stratum.time > wheelerAxes.yMax)
+            .forEach(stratum => draft.warnings.push(
+                `Stratum ${stratum.number} is beyond the last time step (${wheelerAxes.yMax}) and is left out of the draft`
+            ));
+        draft.regions = draft.regions.filter(region => region.time0 < wheelerAxes.yMax);
+        draft.regions.forEach(region => {
+            region.time1 = Math.min(region.time1, wheelerAxes.yMax);
+            region.points.forEach(p => { p.y = Math.min(p.y, wheelerAxes.yMax); });
+        });
+
+        const studentLines = AppState.wheelerCanvas.getWorldElements()
+            .filter(el => el.type === 'terminationLine')
+            .map(el => ({ label: el.label, time: roundTime(el.y), x1: el.x1, x2: el.x2 }));
+
+        AppState.wheelerDraft = draft;
+        renderWheelerDraft(draft, WheelerBuilder.compare(draft, studentLines));
+        showModal(DOM.buildWheelerModal);
+    }
+
+    /**
+     * Cross-section interpretation (world units) for the WheelerBuilder;
+     * null, with a message, if it cannot be used yet
+     */
+    function getWheelerBuilderInput() {
+        if (!AppState.crossSectionCanvas || !AppState.wheelerCanvas) {
+            showToast('Canvases not initialized', 'error');
+            return null;
+        }
+
+        const sectionAxes = AppState.crossSectionCanvas.axes;
+        const elements = AppState.crossSectionCanvas.getWorldElements();
+        const strata = elements.filter(el => el.type === 'strataNumber');
+
+        if (strata.length === 0) {
+            showToast('Number the strata first (Strata # tool, N)', 'error');
+            return null;
+        }
+
+        return {
+            surfaces: elements.filter(el => el.type === 'surface'),
+            strata: strata,
+            // Each termination carries the time step of its Wheeler line
+            terminations: elements
+                .filter(el => el.type === 'termination')
+                .map(el => ({ ...el, time: getTerminationTime(el.number) })),
+            xMin: sectionAxes.xMin,
+            xMax: sectionAxes.xMax
+        };
+    }
+
+    function renderWheelerDraft(draft, comparison) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+        const km = (value) => value.toFixed(1);
+        const counts = { deposition: 0, hiatus: 0, erosion: 0 };
+        draft.regions.forEach(region => counts[region.type]++);
+
+        const rows = draft.strata.map((stratum, i) => {
+            const match = comparison.strata[i];
+            const line = match.line !== null
+                ? `${escape(match.line)} (${Math.round(match.overlap * 100)}% overlap)`
+                : '<span class="warning">none</span>';
+            return `<tr>
+                <td>${stratum.number}</td>
+                <td>${km(stratum.x1)}-${km(stratum.x2)}</td>
+                <td>${stratum.source}</td>
+                <td>${stratum.landwardEnd || '-'} / ${stratum.basinwardEnd || '-'}</td>
+                <td>${line}</td>
+            </tr>`;
+        }).join('');
+
+        let html = `<p><strong>${draft.strata.length}</strong> strata: ` +
+            `${counts.deposition} depositional areas, ${counts.hiatus} hiatuses, ${counts.erosion} erosional gaps.</p>`;
+
+        if (draft.warnings.length > 0) {
+            html += '<ul>' + draft.warnings.map(w => `<li class="warning">${escape(w)}</li>`).join('') + '</ul>';
+        }
+
+        html += `<table>
+            <thead><tr><th>Stratum</th><th>Extent (km)</th><th>From</th><th>Beyond ends</th><th>Your line</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+
+        if (comparison.unmatched.length > 0) {
+            html += `<p class="warning">Your termination lines with no stratum at that time: ${comparison.unmatched.map(escape).join(', ')}</p>`;
+        }
+
+        DOM.buildWheelerResult.innerHTML = html;
+    }
+
+    /**
+     * Draw the last draft on the Wheeler diagram as one undoable step
+     */
+    function handleAddWheelerDraft() {
+        const draft = AppState.wheelerDraft;
+        if (!draft || draft.regions.length === 0) {
+            showToast('Nothing to add', 'info');
+            return;
+        }
+
+        const canvas = AppState.wheelerCanvas;
+        AppState.history.group(() => {
+            draft.regions.forEach(region => {
+                const points = region.points.map(p => canvas.axes.toCanvas(p));
+                // Hiatuses and erosional gaps become hatched regions
+                const element = region.type === 'deposition'
+                    ? {
+                        type: 'polygon',
+                        color: WheelerBuilder.REGIONS.deposition.color,
+                        points: points,
+                        timestamp: Date.now()
+                    }
+                    : canvas.createRegion(region.type, points);
+                element.stratum = region.stratum;
+                element.draft = true;
+                canvas.addElement(element);
+            });
+        });
+
+        AppState.wheelerDraft = null;
+        hideModal(DOM.buildWheelerModal);
+        showToast(`Draft Wheeler diagram added (${draft.regions.length} areas)`, 'success');
+    }
+
+    // ==================== CONSISTENCY CHECK ====================
+
+    /**
+     * Check the surfaces and system tracts against sequence stratigraphic
+     * rules and list the problems; clicking one highlights its elements
+     */
+    function handleCheckConsistency() {
+        if (!AppState.crossSectionCanvas || !AppState.wheelerCanvas) {
+            showToast('Canvases not initialized', 'error');
+            return;
+        }
+
+        const problems = ConsistencyChecker.check({
+            crossSection: AppState.crossSectionCanvas.getWorldElements(),
+            wheeler: AppState.wheelerCanvas.getWorldElements()
+        });
+
+        clearCheckHighlight();
+        DOM.checkList.innerHTML = '';
+
+        if (problems.length === 0) {
+            DOM.checkPanel.hidden = true;
+            showToast('No problems found in your surfaces and system tracts', 'success');
+            return;
+        }
+
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            const panel = problem.canvas === 'wheeler' ? 'Wheeler' : 'Cross-section';
+            item.textContent = `${panel}: ${problem.message}`;
+            item.title = 'Click to highlight the elements';
+            item.addEventListener('click', () => {
+                DOM.checkList.querySelectorAll('li').forEach(li => li.classList.toggle('selected', li === item));
+                highlightProblem(problem);
+            });
+            DOM.checkList.appendChild(item);
+        });
+
+        DOM.checkSummary.textContent = `${problems.length} possible problem${problems.length === 1 ? '' : 's'} found`;
+        DOM.checkPanel.hidden = false;
+    }
+
+    function highlightProblem(problem) {
+        const found = problem.ids.map(id => findElementById(id)).filter(Boolean);
+        clearCheckHighlight();
+        if (found.length === 0) {
+            showToast('These elements were changed or removed - run the check again', 'info');
+            return;
+        }
+
+        [AppState.crossSectionCanvas, AppState.wheelerCanvas].forEach(canvas => {
+            canvas.setHighlight(found.filter(f => f.canvas === canvas).map(f => f.element));
+        });
+
+        setActiveCanvas(problem.canvas);
+        const wrapper = problem.canvas === 'wheeler' ? DOM.wheelerWrapper : DOM.crossSectionWrapper;
+        if (wrapper.scrollIntoView) wrapper.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    function clearCheckHighlight() {
+        if (AppState.crossSectionCanvas) AppState.crossSectionCanvas.setHighlight([]);
+        if (AppState.wheelerCanvas) AppState.wheelerCanvas.setHighlight([]);
+    }
+
     let clearTarget = null;
 
     function showClearModal(target) {
@@ -657,47 +1489,132 @@
         showModal(DOM.clearModal);
     }
 
+    /**
+     * Clear one or both panels. Each clear is a single undoable action, and
+     * the removed drawings are also kept in storage ("recently cleared").
+     */
     function handleConfirmClear() {
-        if (clearTarget === 'crossSection' && AppState.crossSectionCanvas) {
-            AppState.crossSectionCanvas.clear();
-            // Reset termination counter since cross-section terminations are cleared
-            resetTerminationCounter();
-            showToast('Cross-section cleared', 'info');
-        } else if (clearTarget === 'wheeler' && AppState.wheelerCanvas) {
-            AppState.wheelerCanvas.clear();
-            showToast('Wheeler diagram cleared', 'info');
-        } else if (clearTarget === 'all') {
-            if (AppState.crossSectionCanvas) AppState.crossSectionCanvas.clear();
-            if (AppState.wheelerCanvas) AppState.wheelerCanvas.clear();
-            // Reset termination counter
-            resetTerminationCounter();
-            showToast('All drawings cleared', 'warning');
+        const clearSection = clearTarget === 'crossSection' || clearTarget === 'all';
+        const clearWheeler = clearTarget === 'wheeler' || clearTarget === 'all';
+
+        if (AppState.crossSectionCanvas && AppState.wheelerCanvas && (clearSection || clearWheeler)) {
+            // The sea-level panel belongs to the Wheeler diagram
+            const clearCurves = clearWheeler && !!AppState.curveCanvas;
+
+            // Linked partners on the panel that stays are removed too, so they
+            // and their links are kept with the cleared drawings
+            const clearedIds = new Set([
+                ...(clearSection ? AppState.crossSectionCanvas.elements : []),
+                ...(clearWheeler ? AppState.wheelerCanvas.elements : [])
+            ].map(el => el.id));
+            const links = AppState.links.toJSON().filter(link => link.members.some(id => clearedIds.has(id)));
+            const linkedIds = new Set(links.reduce((ids, link) => ids.concat(link.members), []));
+            const panelState = (canvas, cleared) => {
+                const state = canvas.getState();
+                if (cleared) return state;
+                const partners = state.elements.filter(el => linkedIds.has(el.id));
+                return partners.length > 0 ? { ...state, elements: partners } : null;
+            };
+
+            ExamStorage.saveCleared({
+                studentId: AppState.studentId,
+                target: clearTarget,
+                crossSectionState: panelState(AppState.crossSectionCanvas, clearSection),
+                wheelerState: panelState(AppState.wheelerCanvas, clearWheeler),
+                curveState: clearCurves ? AppState.curveCanvas.getState() : null,
+                links: links
+            });
+
+            AppState.history.group(() => {
+                const removed = [
+                    ...(clearSection ? AppState.crossSectionCanvas.elements : []),
+                    ...(clearWheeler ? AppState.wheelerCanvas.elements : [])
+                ];
+
+                // Termination numbering restarts with the cross-section terminations
+                if (clearSection) AppState.crossSectionCanvas.clear({ resetTerminationCounter: true });
+                if (clearWheeler) AppState.wheelerCanvas.clear();
+                if (clearCurves) AppState.curveCanvas.clear();
+
+                // Linked partners on the panel that stays go too (same undo step)
+                handleElementsRemoved(removed);
+            });
+
+            if (clearTarget === 'all') {
+                showToast('All drawings cleared (Ctrl+Z to undo)', 'warning');
+            } else if (clearSection) {
+                showToast('Cross-section cleared (Ctrl+Z to undo)', 'info');
+            } else {
+                showToast('Wheeler diagram cleared (Ctrl+Z to undo)', 'info');
+            }
+            updateRestoreClearedButton();
         }
         clearTarget = null;
         hideModal(DOM.clearModal);
     }
 
     /**
-     * Reset the termination counter to start fresh
+     * Recently cleared drawings of the current student, if any
      */
-    function resetTerminationCounter() {
-        if (AppState.terminationCounter) {
-            AppState.terminationCounter.count = 0;
-            AppState.terminationCounter.availableNumbers = [];
+    function getRecentlyCleared() {
+        const record = ExamStorage.loadCleared();
+        return record && record.studentId === AppState.studentId ? record : null;
+    }
+
+    function updateRestoreClearedButton() {
+        if (!DOM.restoreClearedBtn) return;
+
+        const record = getRecentlyCleared();
+        DOM.restoreClearedBtn.disabled = !record;
+        DOM.restoreClearedBtn.title = record
+            ? `Restore drawings cleared at ${new Date(record.timestamp).toLocaleTimeString()}`
+            : 'Nothing cleared recently';
+    }
+
+    /**
+     * Add the recently cleared drawings back (works after a reload, when the
+     * clear can no longer be undone). Restoring is itself undoable.
+     */
+    function handleRestoreCleared() {
+        const record = getRecentlyCleared();
+        if (!record) {
+            showToast('Nothing to restore', 'info');
+            return;
+        }
+
+        const restored = AppState.history.group(() => {
+            let count = 0;
+            if (record.crossSectionState) {
+                count += AppState.crossSectionCanvas.restoreElements(record.crossSectionState);
+            }
+            if (record.wheelerState) {
+                count += AppState.wheelerCanvas.restoreElements(record.wheelerState);
+            }
+            if (record.curveState && AppState.curveCanvas) {
+                count += AppState.curveCanvas.restoreElements(record.curveState);
+            }
+            // Links that are gone since (e.g. after opening a file) come back too
+            (record.links || []).forEach(link => {
+                if (!link.members.some(id => AppState.links.findByElement(id))) {
+                    AppState.links.add(link.kind, link.members);
+                }
+            });
+            return count;
+        });
+
+        if (restored > 0) {
+            showToast(`Restored ${restored} cleared element${restored === 1 ? '' : 's'}`, 'success');
+        } else {
+            showToast('The cleared drawings are already on the canvas', 'info');
         }
     }
 
-    function handleExport() {
+    async function handleExport() {
         try {
             const examData = getExamDataForExport();
 
-            // Get the actual canvas elements
-            const canvases = {
-                crossSectionBg: document.getElementById('crossSectionBg'),
-                crossSectionDraw: document.getElementById('crossSectionCanvas'),
-                wheelerBg: document.getElementById('wheelerBgCanvas'),
-                wheelerDraw: document.getElementById('wheelerCanvas')
-            };
+            // Snapshot the canvases at full extent, whatever the current zoom/pan
+            const canvases = getFullExtentCanvases();
 
             console.log('=== EXPORT DEBUG ===');
             console.log('Cross-section BG canvas:', canvases.crossSectionBg, 'size:', canvases.crossSectionBg?.width, 'x', canvases.crossSectionBg?.height);
@@ -705,10 +1622,16 @@
             console.log('Wheeler BG canvas:', canvases.wheelerBg, 'size:', canvases.wheelerBg?.width, 'x', canvases.wheelerBg?.height);
             console.log('Wheeler Draw canvas:', canvases.wheelerDraw, 'size:', canvases.wheelerDraw?.width, 'x', canvases.wheelerDraw?.height);
 
-            const result = ExamExport.exportAll(examData, canvases);
+            const result = await ExamExport.exportAll(examData, canvases, getSVGPanels(), getVectorPanels());
 
             if (result) {
-                showToast('Exam exported! Check your downloads folder.', 'success');
+                // Name exactly what was saved, so nobody hands in a ZIP without its PDF unawares
+                const saved = `Saved ${ExamExport.formatList(result.saved)}. Check your downloads folder.`;
+                if (result.problems.length) {
+                    showToast(`${result.problems.join(' ')} ${saved}`, 'warning', 10000);
+                } else {
+                    showToast(`Exam exported: ${saved}`, 'success', 5000);
+                }
             } else {
                 showToast('Export may have had issues. Check console for errors.', 'warning');
             }
@@ -718,6 +1641,150 @@
         }
     }
 
+    /**
+     * Load an exported submission (the ZIP, or the JSON file inside it) in
+     * place of the current work. Files that fail the checksum (an integrity
+     * check, not a signature) or are incompatible are refused.
+     * @param {File} file
+     */
+    async function handleOpenSubmission(file) {
+        try {
+            const bytes = await SubmissionBundle.toBytes(file);
+            let jsonBytes = bytes;
+
+            if (SubmissionBundle.isZip(bytes)) {
+                const bundle = await SubmissionBundle.read(bytes);
+                if (bundle.problems.length > 0) {
+                    showToast(`Cannot open ${file.name}: ${bundle.problems.join('; ')}`, 'error', 8000);
+                    return;
+                }
+                const jsonEntry = bundle.entries.find(entry =>
+                    entry.name !== SubmissionBundle.MANIFEST_NAME && /\.json$/i.test(entry.name));
+                if (!jsonEntry) {
+                    showToast(`Cannot open ${file.name}: the ZIP contains no JSON data`, 'error', 8000);
+                    return;
+                }
+                jsonBytes = jsonEntry.bytes;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(new TextDecoder().decode(jsonBytes));
+            } catch (e) {
+                showToast(`Cannot open ${file.name}: not a ZIP or JSON export`, 'error', 8000);
+                return;
+            }
+
+            const result = await ExamStorage.readSubmission(data);
+            if (result.error) {
+                showToast(`Cannot open ${file.name}: ${result.error}`, 'error', 8000);
+                return;
+            }
+
+            const state = result.state;
+
+            // Students may only continue from their own export: the page keeps
+            // saving and exporting under the logged-in identity
+            if (!AppState.reviewMode && state.studentId !== AppState.studentId) {
+                showToast(
+                    `Cannot open ${file.name}: it is the submission of ${state.studentName} (${state.studentId}), ` +
+                    `not yours. Instructors can view it in review mode (index.html?review).`,
+                    'error', 8000
+                );
+                return;
+            }
+
+            if (!AppState.reviewMode && !confirm(
+                `Open the submission of ${state.studentName} (${state.studentId}), ` +
+                `exported ${new Date(state.timestamp).toLocaleString()}?\n\n` +
+                `Your current drawings and answers will be replaced.`
+            )) {
+                return;
+            }
+
+            applySavedState(state);
+
+            if (AppState.reviewMode) {
+                AppState.studentId = state.studentId;
+                AppState.studentName = state.studentName;
+                DOM.headerStudentInfo.textContent =
+                    `${state.studentName} (${state.studentId}) - review mode (read-only)`;
+                setTool(null);
+            } else {
+                triggerAutoSave();
+            }
+
+            showToast(`Opened the submission of ${state.studentName}`, 'success');
+        } catch (e) {
+            console.error('Open submission error:', e);
+            showToast('Error opening submission: ' + e.message, 'error');
+        }
+    }
+
+    /**
+     * Both panels (and the sea-level panel) as vector SVG documents
+     * @returns {Object} - SVG documents by panel name
+     */
+    function getSVGPanels() {
+        const title = `${AppState.studentName} (${AppState.studentId})`;
+        const panels = {};
+        try {
+            panels.CrossSection = SVGExport.create(AppState.crossSectionCanvas, AppState.crossSectionBg, `Cross-section - ${title}`);
+            panels.Wheeler = SVGExport.create(AppState.wheelerCanvas, AppState.wheelerBg, `Wheeler diagram - ${title}`);
+            if (AppState.curveCanvas) {
+                panels.SeaLevel = SVGExport.create(AppState.curveCanvas, AppState.curveBg, `Sea level and supply - ${title}`);
+            }
+        } catch (e) {
+            // The PDF and JSON still go out without the drawings as SVG
+            console.error('SVG export error:', e);
+        }
+        return panels;
+    }
+
+    /**
+     * The live panels, for drawing them as vectors in the PDF report
+     * @returns {Object} - { crossSection: [{ drawing, background }], wheeler: [...] }
+     */
+    function getVectorPanels() {
+        const wheeler = [{ drawing: AppState.wheelerCanvas, background: AppState.wheelerBg }];
+        if (AppState.curveCanvas) {
+            wheeler.push({ drawing: AppState.curveCanvas, background: AppState.curveBg });
+        }
+        return {
+            crossSection: [{ drawing: AppState.crossSectionCanvas, background: AppState.crossSectionBg }],
+            wheeler: wheeler
+        };
+    }
+
+    /**
+     * Copy background and drawing canvases with their views reset to full extent
+     * @returns {Object} - { crossSectionBg, crossSectionDraw, wheelerBg, wheelerDraw, curveBg, curveDraw }
+     */
+    function getFullExtentCanvases() {
+        const snapshot = (canvas) => {
+            if (!canvas) return null;
+            const copy = document.createElement('canvas');
+            copy.width = canvas.width;
+            copy.height = canvas.height;
+            copy.getContext('2d').drawImage(canvas, 0, 0);
+            return copy;
+        };
+
+        const capturePair = (view, bgId, drawId) => {
+            const capture = () => [
+                snapshot(document.getElementById(bgId)),
+                snapshot(document.getElementById(drawId))
+            ];
+            return view ? view.withFullExtent(capture) : capture();
+        };
+
+        const [crossSectionBg, crossSectionDraw] = capturePair(AppState.crossSectionView, 'crossSectionBg', 'crossSectionCanvas');
+        const [wheelerBg, wheelerDraw] = capturePair(AppState.wheelerView, 'wheelerBgCanvas', 'wheelerCanvas');
+        const [curveBg, curveDraw] = capturePair(AppState.curveView, 'curveBgCanvas', 'curveCanvas');
+
+        return { crossSectionBg, crossSectionDraw, wheelerBg, wheelerDraw, curveBg, curveDraw };
+    }
+
     function handleSubmit(forceSubmit = false) {
         try {
             if (AppState.examSubmitted && !forceSubmit) {
@@ -767,6 +1834,12 @@
             return;
         }
 
+        // Review mode only looks: zoom, pan and help
+        if (AppState.reviewMode && !['+', '=', '-', '0', ' ', '?'].includes(e.key)) {
+            if ((e.ctrlKey || e.metaKey) && e.key === 's') e.preventDefault();
+            return;
+        }
+
         // Tool shortcuts
         switch (e.key.toLowerCase()) {
             case 'l':
@@ -784,6 +1857,38 @@
             case 'e':
                 setTool('eraser');
                 break;
+            case 'v':
+                setTool('select');
+                break;
+            case ' ':
+                // Hold space and drag to pan
+                e.preventDefault();
+                setPanMode(true);
+                break;
+            case '+':
+            case '=':
+                zoomActiveView(1.25);
+                break;
+            case '-':
+                zoomActiveView(0.8);
+                break;
+            case '0':
+                resetActiveView();
+                break;
+            case 'delete':
+            case 'backspace':
+                // Delete the element picked with the select tool
+                if (AppState.currentTool === 'select') {
+                    e.preventDefault();
+                    const selectCanvas = getActiveDrawingCanvas();
+                    if (selectCanvas && selectCanvas.deleteSelection()) {
+                        showToast('Element deleted', 'info', 1000);
+                    }
+                }
+                break;
+            case 'r':
+                setTool('trajectory');
+                break;
             case 's':
                 setTool('termination');
                 break;
@@ -825,6 +1930,12 @@
         }
     }
 
+    function handleKeyboardRelease(e) {
+        if (e.key === ' ') {
+            setPanMode(false);
+        }
+    }
+
     function handleBeforeUnload(e) {
         if (AppState.examStarted && !AppState.examSubmitted) {
             // Force save
@@ -851,6 +1962,8 @@
         // Clear surface and tract dropdowns when switching to regular tools
         if (DOM.surfaceSelect) DOM.surfaceSelect.value = '';
         if (DOM.tractSelect) DOM.tractSelect.value = '';
+        if (DOM.regionSelect) DOM.regionSelect.value = '';
+        if (DOM.curveSelect) DOM.curveSelect.value = '';
 
         // Update both canvases
         if (AppState.crossSectionCanvas) {
@@ -859,6 +1972,16 @@
         if (AppState.wheelerCanvas) {
             AppState.wheelerCanvas.setTool(tool);
         }
+        setCurvePanelTool(tool);
+    }
+
+    /**
+     * The sea-level panel only takes curve, text, select and eraser;
+     * other tools leave it inactive
+     */
+    function setCurvePanelTool(tool) {
+        if (!AppState.curveCanvas) return;
+        AppState.curveCanvas.setTool(CONFIG.curvePanelTools.includes(tool) ? tool : null);
     }
 
     function setColor(color) {
@@ -870,6 +1993,9 @@
         if (AppState.wheelerCanvas) {
             AppState.wheelerCanvas.setColor(color);
         }
+        if (AppState.curveCanvas) {
+            AppState.curveCanvas.setColor(color);
+        }
     }
 
     function setLineWidth(width) {
@@ -879,6 +2005,9 @@
         if (AppState.wheelerCanvas) {
             AppState.wheelerCanvas.setLineWidth(width);
         }
+        if (AppState.curveCanvas) {
+            AppState.curveCanvas.setLineWidth(width);
+        }
     }
 
     function setActiveCanvas(canvasName) {
@@ -887,6 +2016,7 @@
         // Update visual indicators
         DOM.crossSectionWrapper.classList.toggle('active', canvasName === 'crossSection');
         DOM.wheelerWrapper.classList.toggle('active', canvasName === 'wheeler');
+        if (DOM.curveWrapper) DOM.curveWrapper.classList.toggle('active', canvasName === 'curves');
     }
 
     /**
@@ -909,6 +2039,21 @@
             AppState.wheelerCanvas.setTool('surface');
             AppState.wheelerCanvas.setSurfaceType(surfaceType);
         }
+        setCurvePanelTool('surface');
+    }
+
+    /**
+     * Set termination tool with the chosen lapout type
+     */
+    function setTerminationTool(terminationType) {
+        setTool('termination');
+
+        if (AppState.crossSectionCanvas) {
+            AppState.crossSectionCanvas.setTerminationType(terminationType);
+        }
+        if (AppState.wheelerCanvas) {
+            AppState.wheelerCanvas.setTerminationType(terminationType);
+        }
     }
 
     /**
@@ -931,9 +2076,155 @@
             AppState.wheelerCanvas.setTool('systemTract');
             AppState.wheelerCanvas.setSystemTractType(tractType);
         }
+        setCurvePanelTool('systemTract');
+    }
+
+    /**
+     * Set hiatus / erosion region tool (Wheeler gaps)
+     */
+    function setRegionTool(regionType) {
+        AppState.currentTool = 'region';
+
+        // Clear other tool selections
+        DOM.toolbar.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
+            btn.classList.remove('active');
+        });
+
+        // Gaps belong on the Wheeler diagram
+        if (AppState.crossSectionCanvas) {
+            AppState.crossSectionCanvas.setTool('region');
+            AppState.crossSectionCanvas.setRegionType(regionType);
+        }
+        if (AppState.wheelerCanvas) {
+            AppState.wheelerCanvas.setTool('region');
+            AppState.wheelerCanvas.setRegionType(regionType);
+        }
+        setCurvePanelTool('region');
+        setActiveCanvas('wheeler');
+    }
+
+    /**
+     * Set sea-level / supply curve tool (sea-level panel only)
+     */
+    function setCurveTool(curveType) {
+        if (!AppState.curveCanvas) return;
+        AppState.currentTool = 'curve';
+
+        // Clear other tool selections
+        DOM.toolbar.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
+            btn.classList.remove('active');
+        });
+
+        // Curves are only drawn in their own panel
+        if (AppState.crossSectionCanvas) AppState.crossSectionCanvas.setTool(null);
+        if (AppState.wheelerCanvas) AppState.wheelerCanvas.setTool(null);
+        AppState.curveCanvas.setTool('curve');
+        AppState.curveCanvas.setCurveType(curveType);
+        setActiveCanvas('curves');
+    }
+
+    // ==================== SEA-LEVEL PANEL ====================
+
+    /**
+     * Cursor moved on the Wheeler diagram or the sea-level panel:
+     * update the readout and show the same time in both panels
+     */
+    function handleTimeCursor(drawingCanvas, world) {
+        updateCursorReadout(DOM.wheelerReadout, drawingCanvas, world);
+
+        if (!AppState.curveCanvas) return;
+        const time = world ? world.y : null;
+        AppState.wheelerCanvas.setCrosshair(time);
+        AppState.curveCanvas.setCrosshair(time);
+    }
+
+    /**
+     * Draw the sea-level panel curves on the Wheeler diagram (stretched over
+     * its distance axis) with dashed lines at the sea-level highs and lows,
+     * as a guide for the system tract boundaries
+     */
+    function drawCurveOverlay(ctx, wheelerCanvas) {
+        if (!AppState.showCurveOverlay || !AppState.curveCanvas) return;
+
+        const axes = wheelerCanvas.axes;
+        const panel = AppState.curveBg;
+        const toWheeler = (p) => ({
+            x: axes.xToCanvas(axes.xMin + (p.x - panel.xMin) / (panel.xMax - panel.xMin) * (axes.xMax - axes.xMin)),
+            y: axes.yToCanvas(p.y)
+        });
+        const left = axes.plotArea.left;
+        const right = axes.plotArea.left + axes.plotArea.width;
+
+        ctx.save();
+        ctx.globalAlpha = 0.6;
+        ctx.font = 'bold 11px Arial';
+        ctx.textBaseline = 'bottom';
+
+        AppState.curveCanvas.getWorldElements()
+            .filter(el => el.type === 'curve')
+            .forEach(curve => {
+                const points = curve.points.map(toWheeler);
+                ctx.strokeStyle = curve.color;
+                ctx.lineWidth = wheelerCanvas.px(2);
+                ctx.setLineDash([]);
+                ctx.beginPath();
+                ctx.moveTo(points[0].x, points[0].y);
+                points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+                ctx.stroke();
+
+                if (curve.curveType !== 'seaLevel') return;
+
+                ctx.lineWidth = wheelerCanvas.px(1);
+                ctx.setLineDash([wheelerCanvas.px(8), wheelerCanvas.px(4)]);
+                ctx.fillStyle = curve.color;
+                SeaLevelCurves.findTurningPoints(curve.points).forEach(turn => {
+                    const y = axes.yToCanvas(turn.time);
+                    ctx.beginPath();
+                    ctx.moveTo(left, y);
+                    ctx.lineTo(right, y);
+                    ctx.stroke();
+                    ctx.fillText(`RSL ${turn.kind} (${turn.time})`, left + 4, y - 2);
+                });
+            });
+
+        ctx.restore();
+    }
+
+    // ==================== ZOOM / PAN ====================
+
+    function getActiveView() {
+        if (AppState.activeCanvas === 'curves' && AppState.curveView) return AppState.curveView;
+        return AppState.activeCanvas === 'crossSection'
+            ? AppState.crossSectionView
+            : AppState.wheelerView;
+    }
+
+    function zoomActiveView(factor) {
+        const view = getActiveView();
+        if (view) view.zoomCenter(factor);
+    }
+
+    function resetActiveView() {
+        const view = getActiveView();
+        if (view) view.reset();
+    }
+
+    function setPanMode(enabled) {
+        if (AppState.crossSectionCanvas) AppState.crossSectionCanvas.setPanMode(enabled);
+        if (AppState.wheelerCanvas) AppState.wheelerCanvas.setPanMode(enabled);
+        if (AppState.curveCanvas) AppState.curveCanvas.setPanMode(enabled);
+    }
+
+    /**
+     * Show the cursor position in world units (km/m or km/time)
+     */
+    function updateCursorReadout(target, drawingCanvas, world) {
+        if (!target) return;
+        target.textContent = world && drawingCanvas ? drawingCanvas.axes.format(world) : '';
     }
 
     function getActiveDrawingCanvas() {
+        if (AppState.activeCanvas === 'curves' && AppState.curveCanvas) return AppState.curveCanvas;
         return AppState.activeCanvas === 'crossSection'
             ? AppState.crossSectionCanvas
             : AppState.wheelerCanvas;
@@ -968,6 +2259,18 @@
 
     // ==================== STATE MANAGEMENT ====================
 
+    /**
+     * Canvases by ID prefix, as referenced by the saved undo/redo history
+     */
+    function getHistoryCanvases() {
+        const canvases = {
+            xs: AppState.crossSectionCanvas,
+            wh: AppState.wheelerCanvas
+        };
+        if (AppState.curveCanvas) canvases.rsl = AppState.curveCanvas;
+        return canvases;
+    }
+
     function getExamState() {
         return {
             studentId: AppState.studentId,
@@ -975,6 +2278,11 @@
             timeRemaining: AppState.timer ? AppState.timer.getRemaining() : CONFIG.examDuration,
             crossSectionState: AppState.crossSectionCanvas ? AppState.crossSectionCanvas.getState() : null,
             wheelerState: AppState.wheelerCanvas ? AppState.wheelerCanvas.getState() : null,
+            curveState: AppState.curveCanvas ? AppState.curveCanvas.getState() : null,
+            links: AppState.links ? AppState.links.toJSON() : [],
+            terminationCounter: AppState.terminationCounter,
+            strataCounter: AppState.crossSectionCanvas ? { count: AppState.crossSectionCanvas.strataCounter.count } : null,
+            history: AppState.history ? AppState.history.toJSON(CONFIG.historyStorageLimit) : null,
             answers: {
                 question1: DOM.q1 ? DOM.q1.value : '',
                 question2: DOM.q2 ? DOM.q2.value : '',
@@ -985,13 +2293,36 @@
         };
     }
 
+    /**
+     * Cross-section elements in world units, terminations with their time step
+     */
+    function getCrossSectionExportElements() {
+        return AppState.crossSectionCanvas.getWorldElements().map(el => {
+            if (el.type === 'termination' && AppState.wheelerCanvas) {
+                el.time = getTerminationTime(el.number);
+            }
+            return el;
+        });
+    }
+
     function getExamDataForExport() {
         return {
             studentId: AppState.studentId,
             studentName: AppState.studentName,
             timeSpent: AppState.timer ? AppState.timer.getTimeSpent() : 0,
-            crossSectionElements: AppState.crossSectionCanvas ? AppState.crossSectionCanvas.elements : [],
-            wheelerElements: AppState.wheelerCanvas ? AppState.wheelerCanvas.elements : [],
+            crossSectionElements: AppState.crossSectionCanvas ? getCrossSectionExportElements() : [],
+            wheelerElements: AppState.wheelerCanvas ? AppState.wheelerCanvas.getWorldElements() : [],
+            curveElements: AppState.curveCanvas ? AppState.curveCanvas.getWorldElements() : [],
+            links: AppState.links ? AppState.links.toJSON() : [],
+            counters: AppState.crossSectionCanvas ? {
+                termination: AppState.crossSectionCanvas.getTerminationCounterSnapshot(),
+                strata: { count: AppState.crossSectionCanvas.strataCounter.count }
+            } : null,
+            coordinateSystem: {
+                crossSection: AppState.crossSectionCanvas ? AppState.crossSectionCanvas.axes.describe() : null,
+                wheeler: AppState.wheelerCanvas ? AppState.wheelerCanvas.axes.describe() : null,
+                curves: AppState.curveCanvas ? AppState.curveCanvas.axes.describe() : null
+            },
             answers: {
                 question1: DOM.q1 ? DOM.q1.value : '',
                 question2: DOM.q2 ? DOM.q2.value : '',
@@ -1045,9 +2376,11 @@
 
         toast.innerHTML = `
             <span class="toast-icon">${icons[type] || icons.info}</span>
-            <span class="toast-message">${message}</span>
+            <span class="toast-message"></span>
             <button class="toast-close">&times;</button>
         `;
+        // Messages can quote names from opened files: text only, never markup
+        toast.querySelector('.toast-message').textContent = message;
 
         DOM.toastContainer.appendChild(toast);
 
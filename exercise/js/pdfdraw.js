@@ -0,0 +1,144 @@
+/**
+ * Sequence Stratigraphy Exam - PDF Drawing Module
+ * Vector context that draws a panel straight into a jsPDF document as
+ * native paths and text (see vector.js), so the interpretation in the
+ * report stays sharp at any zoom and can be measured.
+ */
+
+class PDFContext extends VectorContext {
+    /**
+     * @param {jsPDF} pdf
+     * @param {number} x - Left edge of the panel on the page (document units)
+     * @param {number} y - Top edge of the panel on the page
+     * @param {number} scale - Document units per canvas pixel
+     */
+    constructor(pdf, x, y, scale) {
+        super([scale, 0, 0, scale, x, y]);
+        this.pdf = pdf;
+        this.hasOpacity = typeof pdf.GState === 'function' && typeof pdf.setGState === 'function';
+    }
+
+    save() {
+        super.save();
+        this.pdf.saveGraphicsState();
+    }
+
+    restore() {
+        if (super.restore()) this.pdf.restoreGraphicsState();
+        return true;
+    }
+
+    fill() {
+        if (!this.segments.length) return;
+        const color = this.parseColor(this.fillStyle);
+        this.pdf.setFillColor(color.r, color.g, color.b);
+        this.paint(color.a, 'opacity', () => this.pdf.fill());
+    }
+
+    stroke() {
+        if (!this.segments.length) return;
+        const scale = this.matrixScale();
+        const color = this.parseColor(this.strokeStyle);
+        this.pdf.setDrawColor(color.r, color.g, color.b);
+        this.pdf.setLineWidth(this.lineWidth * scale);
+        this.pdf.setLineCap(this.lineCap);
+        this.pdf.setLineJoin(this.lineJoin);
+        this.pdf.setLineDashPattern(this.lineDash.map(n => n * scale), 0);
+        this.paint(color.a, 'stroke-opacity', () => this.pdf.stroke());
+    }
+
+    /**
+     * Clip to the current path until the matching restore()
+     */
+    clip() {
+        this.tracePath();
+        this.pdf.clip();
+        this.pdf.discardPath();
+    }
+
+    /**
+     * Standard PDF fonts only cover Latin-1, so symbols (e.g. the drilling
+     * site icon) are left out
+     */
+    fillText(text, x, y) {
+        text = String(text).replace(/[^\x00-\xFF]/g, '').trim();
+        if (!text) return;
+
+        const font = this.parseFont();
+        const color = this.parseColor(this.fillStyle);
+        const m = this.matrix;
+        const p = this.transformPoint(x, y);
+        const angle = -Math.atan2(m[1], m[0]) * 180 / Math.PI;
+
+        this.pdf.setFont('helvetica', font.weight ? 'bold' : 'normal');
+        this.pdf.setFontSize(font.size * this.matrixScale() * this.pdf.internal.scaleFactor);
+        this.pdf.setTextColor(color.r, color.g, color.b);
+        this.pdf.text(text, p.x, p.y, {
+            align: { center: 'center', right: 'right', end: 'right' }[this.textAlign] || 'left',
+            baseline: { top: 'top', hanging: 'hanging', middle: 'middle', bottom: 'bottom' }[this.textBaseline] || 'alphabetic',
+            angle: Math.abs(angle) > 0.01 ? angle : undefined
+        });
+    }
+
+    /**
+     * Images at up to twice the canvas resolution; skipped if the browser
+     * will not read them back
+     */
+    drawImage(image, x, y, width, height) {
+        width = width ?? image.width;
+        height = height ?? image.height;
+        const data = VectorPanel.imageData(image, width * 2);
+        if (!data) return;
+
+        const p = this.transformPoint(x, y);
+        const scale = this.matrixScale();
+        this.pdf.addImage(data, 'PNG', p.x, p.y, width * scale, height * scale);
+    }
+
+    /**
+     * Leave the document with the report's default drawing state
+     */
+    finish() {
+        this.pdf.setDrawColor(0, 0, 0);
+        this.pdf.setFillColor(0, 0, 0);
+        this.pdf.setTextColor(0, 0, 0);
+        this.pdf.setLineWidth(0.2);
+        this.pdf.setLineCap('butt');
+        this.pdf.setLineJoin('miter');
+        this.pdf.setLineDashPattern([], 0);
+    }
+
+    tracePath() {
+        this.segments.forEach(segment => {
+            const [a, b, c] = segment.points;
+            switch (segment.op) {
+                case 'M': this.pdf.moveTo(a.x, a.y); break;
+                case 'L': this.pdf.lineTo(a.x, a.y); break;
+                case 'C': this.pdf.curveTo(a.x, a.y, b.x, b.y, c.x, c.y); break;
+                case 'Z': this.pdf.close(); break;
+            }
+        });
+    }
+
+    /**
+     * Trace the path and paint it, translucent if the colour has alpha
+     * @param {number} alpha
+     * @param {string} key - GState key: 'opacity' (fill) or 'stroke-opacity'
+     * @param {Function} paint
+     */
+    paint(alpha, key, paint) {
+        const translucent = alpha < 1 && this.hasOpacity;
+        if (translucent) {
+            this.pdf.saveGraphicsState();
+            this.pdf.setGState(new this.pdf.GState({ [key]: alpha }));
+        }
+        this.tracePath();
+        paint();
+        if (translucent) this.pdf.restoreGraphicsState();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFContext;
+}
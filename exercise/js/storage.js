@@ -1,11 +1,13 @@
 /**
  * Sequence Stratigraphy Exam - Storage Module
- * Handles localStorage for auto-save and state persistence
+ * Handles localStorage for auto-save and state persistence, and reading
+ * exported submissions back in
  */
 
 const ExamStorage = {
     KEY: 'sequenceStratExam_v1',
     BACKUP_KEY: 'sequenceStratExam_backup',
+    CLEARED_KEY: 'sequenceStratExam_cleared',
 
     /**
      * Check if localStorage is available
@@ -128,11 +130,54 @@ const ExamStorage = {
         try {
             localStorage.removeItem(this.KEY);
             localStorage.removeItem(this.BACKUP_KEY);
+            localStorage.removeItem(this.CLEARED_KEY);
         } catch (e) {
             console.error('Failed to clear storage:', e);
         }
     },
 
+    /**
+     * Keep the drawings removed by the last Clear/Reset All, so they can be
+     * recovered even after a reload (only the most recent clear is kept)
+     * @param {Object} record - { target, crossSectionState, wheelerState, curveState, links }
+     *   (the state of a panel that was not cleared holds only the linked
+     *   partners removed with the cleared one)
+     * @returns {boolean}
+     */
+    saveCleared(record) {
+        if (!this.isAvailable()) return false;
+
+        try {
+            localStorage.setItem(this.CLEARED_KEY, JSON.stringify({
+                timestamp: Date.now(),
+                ...record
+            }));
+            return true;
+        } catch (e) {
+            console.error('Failed to save cleared drawings:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Load the most recently cleared drawings
+     * @returns {Object|null}
+     */
+    loadCleared() {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const data = localStorage.getItem(this.CLEARED_KEY);
+            if (!data) return null;
+
+            const parsed = JSON.parse(data);
+            return parsed && parsed.timestamp ? parsed : null;
+        } catch (e) {
+            console.error('Failed to load cleared drawings:', e);
+            return null;
+        }
+    },
+
     /**
      * Check if saved exam exists
      * @returns {boolean}
@@ -174,6 +219,9 @@ const ExamStorage = {
                     delete parsed.wheelerCanvas.image;
                 }
 
+                // Undo history is the first thing to go
+                delete parsed.history;
+
                 localStorage.setItem(this.KEY, JSON.stringify(parsed));
             }
         } catch (e) {
@@ -237,6 +285,83 @@ const ExamStorage = {
             console.error('Failed to import state:', e);
             return false;
         }
+    },
+
+    /**
+     * Check exported submission data (the JSON file of the export ZIP) and
+     * turn it back into a saved exam state
+     * @param {Object} data - Parsed export data
+     * @returns {Promise<Object>} - { state } or { error } with a message for the user
+     */
+    async readSubmission(data) {
+        if (!data || typeof data !== 'object' || !data.metadata || !data.section1 || !data.section2) {
+            return { error: 'This file is not an exported exam submission.' };
+        }
+
+        const meta = data.metadata;
+        if (meta.format !== ExamExport.FORMAT || !meta.schemaVersion) {
+            return { error: 'This submission was exported by an older version of the exam and cannot be opened.' };
+        }
+        if (meta.schemaVersion > ExamExport.SCHEMA_VERSION) {
+            return {
+                error: `This submission uses schema version ${meta.schemaVersion}, but this page only reads ` +
+                    `version ${ExamExport.SCHEMA_VERSION}. Open it with the newer exam version.`
+            };
+        }
+
+        // The checksum covers everything except itself (see ExamExport.seal).
+        // It is unkeyed: it catches damaged or partly edited files, not a
+        // deliberate edit that recomputes it
+        const { integrity, ...content } = data;
+        if (!integrity || !integrity.checksum) {
+            return { error: 'This submission has no checksum, so it cannot be checked for damage.' };
+        }
+        try {
+            const checksum = await SubmissionBundle.checksum(
+                SubmissionBundle.toBytes(JSON.stringify(content)),
+                integrity.algorithm
+            );
+            if (checksum !== integrity.checksum) {
+                return { error: 'This submission does not match its checksum (the file is damaged or was edited after the export) and cannot be opened.' };
+            }
+        } catch (e) {
+            return { error: e.message };
+        }
+
+        // Exported geometry is always in world units
+        const section1 = data.section1;
+        const panelState = (panel) => panel && Array.isArray(panel.elements)
+            ? { elements: panel.elements, coordinates: 'world' }
+            : null;
+        const crossSectionState = panelState(section1.crossSection);
+        const wheelerState = panelState(section1.wheeler);
+        if (!crossSectionState || !wheelerState) {
+            return { error: 'This submission has no drawings to restore.' };
+        }
+
+        const counters = section1.counters || {};
+        const answer = (question) => (data.section2[question] && data.section2[question].text) || '';
+
+        return {
+            state: {
+                studentId: meta.studentId,
+                studentName: meta.studentName,
+                timestamp: Date.parse(meta.submissionTime) || Date.now(),
+                submissionTime: meta.submissionTime,
+                crossSectionState: crossSectionState,
+                wheelerState: wheelerState,
+                curveState: panelState(section1.seaLevel),
+                links: section1.links || [],
+                terminationCounter: counters.termination || null,
+                strataCounter: counters.strata || null,
+                answers: {
+                    question1: answer('question1'),
+                    question2: answer('question2'),
+                    question3: answer('question3'),
+                    question4: answer('question4')
+                }
+            }
+        };
     }
 };
 
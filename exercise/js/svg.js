@@ -0,0 +1,199 @@
+/**
+ * Sequence Stratigraphy Exam - SVG Export Module
+ * Writes a panel (background plus interpretation) as an SVG file with true
+ * vector paths (see vector.js). Each element type gets its own named layer
+ * group, so the file can be edited in Inkscape or Illustrator.
+ */
+
+/**
+ * Vector context that collects SVG markup
+ */
+class SVGContext extends VectorContext {
+    constructor() {
+        super();
+        this.parts = [];
+        this.defs = [];
+        this.clipCount = 0;
+        this.clipId = null;
+        this.lastFill = null; // fill() output a following stroke() can join
+    }
+
+    getState() {
+        return { ...super.getState(), clipId: this.clipId };
+    }
+
+    fill() {
+        if (!this.segments.length) return;
+        const d = this.pathData();
+        this.lastFill = { index: this.parts.length, d: d, paint: this.paint(this.fillStyle, 'fill') };
+        this.parts.push(`<path d="${d}" ${this.lastFill.paint} stroke="none"${this.clipAttribute()}/>`);
+    }
+
+    stroke() {
+        if (!this.segments.length) return;
+        const d = this.pathData();
+        const strokeAttributes = this.strokeAttributes();
+
+        // Filled and outlined shape: one editable object instead of two
+        const last = this.lastFill;
+        if (last && last.index === this.parts.length - 1 && last.d === d) {
+            this.parts[last.index] = `<path d="${d}" ${last.paint} ${strokeAttributes}${this.clipAttribute()}/>`;
+            this.lastFill = null;
+            return;
+        }
+        this.push(`<path d="${d}" fill="none" ${strokeAttributes}${this.clipAttribute()}/>`);
+    }
+
+    clip() {
+        const id = `clip${++this.clipCount}`;
+        this.defs.push(`<clipPath id="${id}"><path d="${this.pathData()}"/></clipPath>`);
+        this.clipId = id;
+    }
+
+    fillText(text, x, y) {
+        const font = this.parseFont();
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const baseline = { top: 'hanging', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge' }[this.textBaseline];
+
+        let attributes = `font-family="${SVGExport.escape(font.family)}" font-size="${font.size}"`;
+        if (font.weight) attributes += ` font-weight="${font.weight}"`;
+        if (anchor !== 'start') attributes += ` text-anchor="${anchor}"`;
+        if (baseline) attributes += ` dominant-baseline="${baseline}"`;
+        attributes += ' ' + this.paint(this.fillStyle, 'fill');
+
+        this.push(`<text ${this.placement(x, y)} ${attributes}${this.clipAttribute()}>${SVGExport.escape(text)}</text>`);
+    }
+
+    /**
+     * Images are embedded; if the browser will not read one back, it is
+     * linked instead
+     */
+    drawImage(image, x, y, width, height) {
+        width = width ?? image.width;
+        height = height ?? image.height;
+        const href = VectorPanel.imageData(image) || image.src || '';
+        this.push(
+            `<image ${this.placement(x, y)} width="${SVGExport.round(width)}" height="${SVGExport.round(height)}" ` +
+            `preserveAspectRatio="none" xlink:href="${SVGExport.escape(href)}"/>`
+        );
+    }
+
+    /**
+     * Open a named group; layers are marked for Inkscape, and Illustrator
+     * takes top-level groups as layers
+     */
+    openGroup(id, label = null) {
+        const layer = label
+            ? ` inkscape:groupmode="layer" inkscape:label="${SVGExport.escape(label)}"`
+            : '';
+        this.push(`<g id="${SVGExport.escape(id)}"${layer}>`);
+    }
+
+    closeGroup() {
+        this.push('</g>');
+    }
+
+    push(markup) {
+        this.lastFill = null;
+        this.parts.push(markup);
+    }
+
+    pathData() {
+        return this.segments.map(segment =>
+            segment.op + segment.points.map(p => `${SVGExport.round(p.x)} ${SVGExport.round(p.y)}`).join(' ')
+        ).join(' ');
+    }
+
+    /**
+     * x/y attributes, with a transform when the context is rotated or scaled
+     */
+    placement(x, y) {
+        const m = this.matrix;
+        if (m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1) {
+            return `x="${SVGExport.round(x + m[4])}" y="${SVGExport.round(y + m[5])}"`;
+        }
+        return `x="${SVGExport.round(x)}" y="${SVGExport.round(y)}" transform="matrix(${m.map(SVGExport.round).join(' ')})"`;
+    }
+
+    /**
+     * Colour as separate colour and opacity attributes (editors handle
+     * rgba() poorly)
+     */
+    paint(color, kind) {
+        const c = this.parseColor(color);
+        const hex = '#' + [c.r, c.g, c.b].map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase();
+        return c.a < 1 ? `${kind}="${hex}" ${kind}-opacity="${c.a}"` : `${kind}="${hex}"`;
+    }
+
+    strokeAttributes() {
+        const scale = this.matrixScale();
+        let attributes = `${this.paint(this.strokeStyle, 'stroke')} stroke-width="${SVGExport.round(this.lineWidth * scale)}"`;
+        if (this.lineCap !== 'butt') attributes += ` stroke-linecap="${this.lineCap}"`;
+        if (this.lineJoin !== 'miter') attributes += ` stroke-linejoin="${this.lineJoin}"`;
+        if (this.lineDash.length) {
+            attributes += ` stroke-dasharray="${this.lineDash.map(n => SVGExport.round(n * scale)).join(' ')}"`;
+        }
+        return attributes;
+    }
+
+    clipAttribute() {
+        return this.clipId ? ` clip-path="url(#${this.clipId})"` : '';
+    }
+}
+
+const SVGExport = {
+    /**
+     * Write a panel as an SVG document
+     * @param {DrawingCanvas} drawingCanvas
+     * @param {Object} background - CrossSectionBackground, WheelerDiagramBackground or CurvePanelBackground
+     * @param {string} title
+     * @returns {string}
+     */
+    create(drawingCanvas, background, title = '') {
+        const ctx = new SVGContext();
+        VectorPanel.draw(ctx, drawingCanvas, background);
+
+        const width = drawingCanvas.canvas.width;
+        const height = drawingCanvas.canvas.height;
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+                'xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ' +
+                `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        ];
+        if (title) lines.push(`<title>${this.escape(title)}</title>`);
+        if (drawingCanvas.axes) lines.push(`<desc>${this.escape(this.describeAxes(drawingCanvas.axes))}</desc>`);
+        if (ctx.defs.length) lines.push('<defs>', ...ctx.defs, '</defs>');
+        lines.push(...ctx.parts, '</svg>');
+        return lines.join('\n');
+    },
+
+    /**
+     * Where the world units lie in the drawing, for anyone digitizing it later
+     */
+    describeAxes(axes) {
+        const p = axes.plotArea;
+        const axis = (a) => `${a.label} ${a.min}-${a.max}${a.unit ? ' ' + a.unit : ''}`;
+        const d = axes.describe();
+        return `${axis(d.x)} from x=${this.round(p.left)} to x=${this.round(p.left + p.width)}; ` +
+            `${axis(d.y)} from y=${this.round(d.y.increasesUpward ? p.top + p.height : p.top)} ` +
+            `to y=${this.round(d.y.increasesUpward ? p.top : p.top + p.height)}`;
+    },
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SVGContext, SVGExport };
+}
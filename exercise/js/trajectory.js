@@ -0,0 +1,71 @@
+/**
+ * Sequence Stratigraphy Exam - Shoreline Trajectory Module
+ * Classifies segments between successive clinoform rollovers.
+ * Points are in world units: x = distance (km, basinward increasing),
+ * y = depth (m, increasing downwards).
+ */
+
+const ShorelineTrajectory = {
+    // Segments rising more steeply than this (degrees, true scale) are aggradational
+    AGGRADATION_ANGLE: 5,
+
+    CLASSES: {
+        'ascending-regressive':  { label: 'Ascending regressive',  abbreviation: 'AR', color: '#2E8B57' },
+        'descending-regressive': { label: 'Descending regressive', abbreviation: 'DR', color: '#D2691E' },
+        'transgressive':         { label: 'Transgressive',         abbreviation: 'T',  color: '#1E90FF' },
+        'aggradational':         { label: 'Aggradational',         abbreviation: 'A',  color: '#8B008B' }
+    },
+
+    /**
+     * Classify one trajectory segment
+     * @param {Object} from - Older rollover { x: km, y: depth m }
+     * @param {Object} to - Younger rollover { x: km, y: depth m }
+     * @returns {Object} { classification, angle } with angle in degrees (positive = rising)
+     */
+    classifySegment(from, to) {
+        const dx = (to.x - from.x) * 1000; // km -> m
+        const rise = from.y - to.y;         // shallower = rising
+        const angle = Math.atan2(rise, Math.abs(dx)) * 180 / Math.PI;
+
+        // Landward steps are transgressive however steeply they rise; purely
+        // vertical ones are not landward (a vertical rise is aggradational)
+        let classification;
+        if (dx < 0) {
+            classification = 'transgressive';
+        } else if (rise > 0 && angle >= this.AGGRADATION_ANGLE) {
+            classification = 'aggradational';
+        } else if (rise >= 0) {
+            classification = 'ascending-regressive';
+        } else {
+            classification = 'descending-regressive';
+        }
+
+        return { classification, angle };
+    },
+
+    /**
+     * Classify all segments of a trajectory
+     * @param {Array} points - Rollover positions in stratigraphic order (oldest first)
+     * @returns {Array} One entry per segment
+     */
+    classify(points) {
+        const segments = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const result = this.classifySegment(points[i], points[i + 1]);
+            segments.push({
+                segment: i + 1,
+                from: { x: points[i].x, y: points[i].y },
+                to: { x: points[i + 1].x, y: points[i + 1].y },
+                classification: result.classification,
+                abbreviation: this.CLASSES[result.classification].abbreviation,
+                angle: Math.round(result.angle * 1000) / 1000
+            });
+        }
+        return segments;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShorelineTrajectory;
+}
@@ -0,0 +1,370 @@
+/**
+ * Sequence Stratigraphy Exam - Vector Drawing Module
+ * Draws a panel (background plus interpretation) as vectors instead of
+ * pixels. The elements are drawn by the same DrawingCanvas methods as on
+ * screen, into a recording context that implements the part of the canvas
+ * 2D API they use; subclasses turn the recorded paths into SVG markup
+ * (svg.js) or jsPDF paths (pdfdraw.js).
+ */
+
+/**
+ * Recording 2D context base: canvas state, transforms and the current path
+ * (in output coordinates). Subclasses implement fill, stroke, text and images.
+ */
+class VectorContext {
+    /**
+     * @param {Array} baseMatrix - [a, b, c, d, e, f] from canvas pixels to output units
+     */
+    constructor(baseMatrix = [1, 0, 0, 1, 0, 0]) {
+        this.baseMatrix = baseMatrix;
+        this.segments = [];
+        this.stack = [];
+
+        this.strokeStyle = '#000000';
+        this.fillStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.lineDash = [];
+        this.matrix = [...baseMatrix];
+    }
+
+    // ==================== STATE ====================
+
+    save() {
+        this.stack.push(this.getState());
+    }
+
+    /**
+     * @returns {boolean} false if there was no saved state
+     */
+    restore() {
+        const state = this.stack.pop();
+        if (!state) return false;
+        Object.assign(this, state);
+        return true;
+    }
+
+    getState() {
+        return {
+            strokeStyle: this.strokeStyle,
+            fillStyle: this.fillStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            lineJoin: this.lineJoin,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            lineDash: [...this.lineDash],
+            matrix: [...this.matrix]
+        };
+    }
+
+    /**
+     * Canvas transforms apply on top of the base (output) transform
+     */
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = [...this.baseMatrix];
+        this.transform(a, b, c, d, e, f);
+    }
+
+    transform(a, b, c, d, e, f) {
+        const m = this.matrix;
+        this.matrix = [
+            m[0] * a + m[2] * b,
+            m[1] * a + m[3] * b,
+            m[0] * c + m[2] * d,
+            m[1] * c + m[3] * d,
+            m[0] * e + m[2] * f + m[4],
+            m[1] * e + m[3] * f + m[5]
+        ];
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this.lineDash];
+    }
+
+    // ==================== PATHS ====================
+
+    beginPath() {
+        this.segments = [];
+    }
+
+    moveTo(x, y) {
+        this.segments.push({ op: 'M', points: [this.transformPoint(x, y)] });
+    }
+
+    lineTo(x, y) {
+        this.segments.push({ op: this.segments.length ? 'L' : 'M', points: [this.transformPoint(x, y)] });
+    }
+
+    bezierCurveTo(x1, y1, x2, y2, x, y) {
+        if (!this.segments.length) this.moveTo(x1, y1);
+        this.segments.push({
+            op: 'C',
+            points: [this.transformPoint(x1, y1), this.transformPoint(x2, y2), this.transformPoint(x, y)]
+        });
+    }
+
+    closePath() {
+        if (this.segments.length) this.segments.push({ op: 'Z', points: [] });
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    /**
+     * Arcs as cubic Bezier curves of at most a quarter turn each
+     */
+    arc(cx, cy, radius, startAngle, endAngle, counterclockwise = false) {
+        const fullTurn = Math.PI * 2;
+        let delta = endAngle - startAngle;
+        if (Math.abs(delta) >= fullTurn) {
+            delta = counterclockwise ? -fullTurn : fullTurn;
+        } else if (!counterclockwise && delta < 0) {
+            delta += fullTurn;
+        } else if (counterclockwise && delta > 0) {
+            delta -= fullTurn;
+        }
+
+        const at = (angle) => ({ x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) });
+        const start = at(startAngle);
+        this.lineTo(start.x, start.y);
+
+        const count = Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9);
+        const step = delta / count;
+        const k = 4 / 3 * Math.tan(step / 4);
+        for (let i = 0; i < count; i++) {
+            const a0 = startAngle + i * step;
+            const a1 = a0 + step;
+            this.bezierCurveTo(
+                cx + radius * (Math.cos(a0) - k * Math.sin(a0)), cy + radius * (Math.sin(a0) + k * Math.cos(a0)),
+                cx + radius * (Math.cos(a1) + k * Math.sin(a1)), cy + radius * (Math.sin(a1) - k * Math.cos(a1)),
+                cx + radius * Math.cos(a1), cy + radius * Math.sin(a1)
+            );
+        }
+    }
+
+    fillRect(x, y, width, height) {
+        const segments = this.segments;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        this.segments = segments;
+    }
+
+    strokeRect(x, y, width, height) {
+        const segments = this.segments;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        this.segments = segments;
+    }
+
+    clearRect() {
+        // A new document has nothing to clear
+    }
+
+    /**
+     * Text width estimate (average Arial glyph width), enough for label boxes
+     */
+    measureText(text) {
+        return { width: String(text).length * this.parseFont().size * 0.6 };
+    }
+
+    // Named groups, for outputs that have them
+    openGroup() {}
+
+    closeGroup() {}
+
+    // Called once the panel is drawn
+    finish() {}
+
+    // ==================== HELPERS ====================
+
+    transformPoint(x, y) {
+        const m = this.matrix;
+        return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+    }
+
+    /**
+     * Uniform scale of the current transform (for line widths and font sizes)
+     */
+    matrixScale() {
+        const m = this.matrix;
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    }
+
+    parseFont() {
+        const match = this.font.match(/^\s*(bold|normal|\d{3})?\s*([\d.]+)px\s+(.+)$/);
+        if (!match) return { weight: null, size: 10, family: 'sans-serif' };
+        return { weight: match[1] && match[1] !== 'normal' ? match[1] : null, size: parseFloat(match[2]), family: match[3] };
+    }
+
+    /**
+     * CSS colour (#rgb, #rrggbb, rgb(), rgba() or the few names the
+     * drawing code uses) as { r, g, b, a }
+     */
+    parseColor(color) {
+        const names = { white: '#FFFFFF', black: '#000000' };
+        const text = String(names[color] || color || '#000000').trim();
+
+        const rgb = text.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+        if (rgb) {
+            return { r: +rgb[1], g: +rgb[2], b: +rgb[3], a: rgb[4] !== undefined ? +rgb[4] : 1 };
+        }
+
+        let hex = text.replace('#', '');
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        const value = parseInt(hex, 16);
+        if (hex.length !== 6 || isNaN(value)) return { r: 0, g: 0, b: 0, a: 1 };
+        return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, a: 1 };
+    }
+}
+
+const VectorPanel = {
+    // Layer groups from bottom to top, one per element type
+    LAYERS: [
+        { type: 'region', label: 'Hiatus and erosion' },
+        { type: 'systemTract', label: 'System tracts' },
+        { type: 'polygon', label: 'Polygons' },
+        { type: 'surface', label: 'Surfaces' },
+        { type: 'line', label: 'Lines' },
+        { type: 'curve', label: 'Sea-level and supply curves' },
+        { type: 'trajectory', label: 'Shoreline trajectories' },
+        { type: 'terminationLine', label: 'Termination lines' },
+        { type: 'rolloverSquare', label: 'Rollovers' },
+        { type: 'marker', label: 'Markers' },
+        { type: 'drillingProjection', label: 'Drilling projections' },
+        { type: 'drillingLine', label: 'Drilling lines' },
+        { type: 'drillingSite', label: 'Drilling sites' },
+        { type: 'strataNumber', label: 'Strata numbers' },
+        { type: 'termination', label: 'Stratal terminations' },
+        { type: 'text', label: 'Text' }
+    ],
+
+    /**
+     * Draw a panel into a vector context, at full extent whatever the current zoom
+     * @param {VectorContext} ctx
+     * @param {DrawingCanvas} drawingCanvas
+     * @param {Object} background - CrossSectionBackground, WheelerDiagramBackground or CurvePanelBackground
+     */
+    draw(ctx, drawingCanvas, background) {
+        const render = () => {
+            ctx.openGroup('background', 'Background');
+            this.drawBackground(ctx, background, drawingCanvas.canvas.width, drawingCanvas.canvas.height);
+            ctx.closeGroup();
+
+            // Let the canvas draw its elements into the vector context
+            const screenCtx = drawingCanvas.ctx;
+            drawingCanvas.ctx = ctx;
+            try {
+                // Shoreline-position curve through the rollovers, under the squares
+                if (drawingCanvas.isWheelerDiagram && drawingCanvas.elements.some(el => el.type === 'rolloverSquare')) {
+                    ctx.openGroup('shorelineCurve', 'Shoreline curve');
+                    drawingCanvas.drawShorelineCurve();
+                    ctx.closeGroup();
+                }
+
+                this.LAYERS.forEach(layer => {
+                    const elements = drawingCanvas.elements.filter(el => el.type === layer.type);
+                    if (elements.length === 0) return;
+
+                    ctx.openGroup(layer.type, layer.label);
+                    elements.forEach((element, i) => {
+                        ctx.openGroup(element.id || `${layer.type}-${i + 1}`);
+                        drawingCanvas.drawElement(element);
+                        ctx.closeGroup();
+                    });
+                    ctx.closeGroup();
+                });
+            } finally {
+                drawingCanvas.ctx = screenCtx;
+                ctx.finish();
+            }
+        };
+
+        if (drawingCanvas.viewport) {
+            drawingCanvas.viewport.withFullExtent(render);
+        } else {
+            render();
+        }
+    },
+
+    /**
+     * Background image (cross-section) or the synthetic grid and axes
+     * (Wheeler diagram, sea-level panel) as vectors
+     */
+    drawBackground(ctx, background, width, height) {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, width, height);
+        if (!background) return;
+
+        if (background.source) {
+            ctx.drawImage(background.source, 0, 0, width, height);
+            return;
+        }
+
+        const screenCtx = background.ctx;
+        background.ctx = ctx;
+        try {
+            background.drawGrid();
+            background.drawAxes();
+        } finally {
+            background.ctx = screenCtx;
+        }
+    },
+
+    /**
+     * PNG data URL of an image or canvas, or null if the browser will not
+     * read it back (tainted canvas when the page is opened from disk)
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     * @param {number} maxWidth - Downscale wider images to this width
+     */
+    imageData(image, maxWidth = Infinity) {
+        try {
+            const width = image.naturalWidth || image.width;
+            const height = image.naturalHeight || image.height;
+            if (typeof image.toDataURL === 'function' && width <= maxWidth) {
+                return image.toDataURL('image/png');
+            }
+
+            const scale = Math.min(1, maxWidth / width);
+            const copy = document.createElement('canvas');
+            copy.width = Math.round(width * scale);
+            copy.height = Math.round(height * scale);
+            copy.getContext('2d').drawImage(image, 0, 0, copy.width, copy.height);
+            return copy.toDataURL('image/png');
+        } catch (e) {
+            console.warn('Background image could not be read back:', e);
+            return null;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VectorContext, VectorPanel };
+}
@@ -0,0 +1,645 @@
+/**
+ * Sequence Stratigraphy Exam - Wheeler Builder Module
+ * Drafts a chronostratigraphic (Wheeler) chart from the interpreted
+ * cross-section: traced surfaces, numbered strata and stratal terminations.
+ * Works in world units: x = distance (km), y = depth (m, increasing
+ * downwards) on the cross-section; time on the chart is the time step of
+ * the stratum's terminations where they have one, else its strata number.
+ */
+
+const WheelerBuilder = {
+    // Bounding surfaces closer than this (m) have converged: the stratum pinches out
+    PINCH_OUT_THICKNESS: 5,
+    // Step (km) used when tracing a stratum laterally between its bounding surfaces
+    TRACE_STEP: 0.25,
+    // A stratum end this close (m) to a sequence boundary is taken as truncated
+    TRUNCATION_TOLERANCE: 15,
+    // Student lines within this many time steps of a stratum are compared with it
+    TIME_TOLERANCE: 0.5,
+
+    // Lateral samples across the section when outlining a tract between two surfaces
+    TRACT_SAMPLES: 150,
+
+    // Surfaces that bound systems tracts (CC is the basinward SB, MRS is taken with the TS)
+    TRACT_BOUNDARIES: { SB: 'SB', CC: 'SB', BSFR: 'BSFR', TS: 'TS', MRS: 'TS', MFS: 'MFS' },
+    // Order of the boundaries within one sequence, oldest first
+    BOUNDARY_ORDER: ['BSFR', 'SB', 'TS', 'MFS'],
+    // Tract above a boundary, and below the oldest boundary of the section
+    TRACT_ABOVE: { BSFR: 'FSST', SB: 'LST', TS: 'TST', MFS: 'HST' },
+    TRACT_BELOW: { BSFR: 'HST', SB: 'HST', TS: 'LST', MFS: 'TST' },
+
+    REGIONS: {
+        deposition: { label: 'Deposition',        color: '#4CAF50' },
+        hiatus:     { label: 'Hiatus',            color: '#808080' },
+        erosion:    { label: 'Erosional vacuity', color: '#8B4513' }
+    },
+
+    /**
+     * Build a draft Wheeler chart
+     * @param {Object} input
+     * @param {Array} input.surfaces - Surface elements { surfaceType, points }
+     * @param {Array} input.strata - Strata number markers { number, x, y }
+     * @param {Array} input.terminations - Termination points { number, terminationType, x, y, time }
+     *   (time: the termination's time step on the Wheeler diagram, if any)
+     * @param {number} input.xMin - Landward edge of the section (km)
+     * @param {number} input.xMax - Basinward edge of the section (km)
+     * @returns {Object} { strata, regions, warnings }
+     */
+    build(input) {
+        const surfaces = (input.surfaces || []).filter(s => Array.isArray(s.points) && s.points.length >= 2);
+        const markers = [...(input.strata || [])].sort((a, b) => a.number - b.number);
+        const pairs = this.groupTerminations(input.terminations || []);
+        const warnings = [];
+
+        // Each termination pair belongs to the numbered stratum nearest to it
+        const pairsByMarker = new Map();
+        pairs.forEach(pair => {
+            const marker = this.findNearestMarker(markers, pair.points);
+            if (!marker) return;
+            if (!pairsByMarker.has(marker)) pairsByMarker.set(marker, []);
+            pairsByMarker.get(marker).push(pair);
+        });
+
+        const strata = [];
+        markers.forEach(marker => {
+            if (strata.some(s => s.number === marker.number)) {
+                warnings.push(`Stratum ${marker.number} is numbered more than once; only the first is used`);
+                return;
+            }
+
+            const bounds = this.findBoundingSurfaces(surfaces, marker);
+            const markerPairs = pairsByMarker.get(marker) || [];
+            let extent;
+
+            if (markerPairs.length > 0) {
+                const points = markerPairs.reduce((all, pair) => all.concat(pair.points), []);
+                extent = {
+                    x1: Math.min(...points.map(p => p.x)),
+                    x2: Math.max(...points.map(p => p.x)),
+                    source: 'terminations'
+                };
+            } else if (bounds.top && bounds.base) {
+                extent = this.traceExtent(bounds, marker.x, input.xMin, input.xMax);
+                extent.source = 'surfaces';
+            } else {
+                warnings.push(`Stratum ${marker.number}: no terminations or bounding surfaces, assumed to span the section`);
+                extent = { x1: input.xMin, x2: input.xMax, source: 'section' };
+            }
+
+            // Dated by its terminations, as the student timed them
+            const times = markerPairs.map(pair => pair.time).filter(Number.isFinite);
+            if (new Set(times).size > 1) {
+                warnings.push(`Stratum ${marker.number}: its terminations have different times; the oldest is used`);
+            }
+
+            // Ends at the edge of the section have nothing beyond them
+            const edge = this.TRACE_STEP / 2;
+            strata.push({
+                number: marker.number,
+                time: times.length > 0 ? Math.min(...times) : marker.number,
+                x1: extent.x1,
+                x2: extent.x2,
+                source: extent.source,
+                landwardEnd: extent.x1 - input.xMin > edge
+                    ? this.classifyEnd(extent.x1, marker, bounds, markerPairs, surfaces)
+                    : null,
+                basinwardEnd: input.xMax - extent.x2 > edge
+                    ? this.classifyEnd(extent.x2, marker, bounds, markerPairs, surfaces)
+                    : null
+            });
+        });
+
+        // Time order, which re-timed terminations can make differ from the numbering
+        strata.sort((a, b) => a.time - b.time);
+
+        return {
+            strata: strata,
+            regions: this.buildRegions(strata, input.xMin, input.xMax),
+            warnings: warnings
+        };
+    },
+
+    /**
+     * Collect the two points (and the time, if any) of each numbered termination
+     */
+    groupTerminations(terminations) {
+        const byNumber = new Map();
+        terminations.forEach(t => {
+            if (!byNumber.has(t.number)) {
+                byNumber.set(t.number, { number: t.number, terminationType: t.terminationType, time: null, points: [] });
+            }
+            const pair = byNumber.get(t.number);
+            if (Number.isFinite(t.time)) pair.time = t.time;
+            pair.points.push({ x: t.x, y: t.y, terminationType: t.terminationType });
+        });
+        return [...byNumber.values()];
+    },
+
+    findNearestMarker(markers, points) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        markers.forEach(marker => {
+            points.forEach(p => {
+                // Compare in km: 1 km laterally ~ 10 m vertically on a typical section
+                const distance = Math.hypot(marker.x - p.x, (marker.y - p.y) / 10);
+                if (distance < nearestDistance) {
+                    nearest = marker;
+                    nearestDistance = distance;
+                }
+            });
+        });
+        return nearest;
+    },
+
+    /**
+     * Depth of a surface at a given distance, or null outside its extent
+     */
+    depthAt(surface, x) {
+        const points = [...surface.points].sort((a, b) => a.x - b.x);
+        if (x < points[0].x || x > points[points.length - 1].x) return null;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            if (x >= a.x && x <= b.x) {
+                if (b.x === a.x) return Math.min(a.y, b.y);
+                return a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Surfaces directly above (top) and below (base) a point
+     */
+    findBoundingSurfaces(surfaces, point) {
+        let top = null;
+        let base = null;
+        let topDepth = -Infinity;
+        let baseDepth = Infinity;
+
+        surfaces.forEach(surface => {
+            const depth = this.depthAt(surface, point.x);
+            if (depth === null) return;
+            if (depth <= point.y && depth > topDepth) {
+                top = surface;
+                topDepth = depth;
+            } else if (depth > point.y && depth < baseDepth) {
+                base = surface;
+                baseDepth = depth;
+            }
+        });
+
+        return { top, base };
+    },
+
+    /**
+     * Follow a stratum left and right until its bounding surfaces converge or end
+     */
+    traceExtent(bounds, x0, xMin, xMax) {
+        const exists = (x) => {
+            const top = this.depthAt(bounds.top, x);
+            const base = this.depthAt(bounds.base, x);
+            return top !== null && base !== null && base - top > this.PINCH_OUT_THICKNESS;
+        };
+
+        let x1 = x0;
+        while (x1 - this.TRACE_STEP >= xMin && exists(x1 - this.TRACE_STEP)) {
+            x1 -= this.TRACE_STEP;
+        }
+        let x2 = x0;
+        while (x2 + this.TRACE_STEP <= xMax && exists(x2 + this.TRACE_STEP)) {
+            x2 += this.TRACE_STEP;
+        }
+
+        return { x1: this.round(x1), x2: this.round(x2) };
+    },
+
+    /**
+     * What lies beyond a stratum end: 'erosion' where the stratum is cut
+     * (truncation, or the end sits on a sequence boundary), otherwise 'hiatus'
+     */
+    classifyEnd(x, marker, bounds, pairs, surfaces) {
+        const endPoint = pairs
+            .reduce((all, pair) => all.concat(pair.points), [])
+            .find(p => p.x === x);
+
+        if (endPoint && endPoint.terminationType === 'truncation') return 'erosion';
+
+        let depth = endPoint ? endPoint.y : null;
+        if (depth === null && bounds.top) depth = this.depthAt(bounds.top, x);
+        if (depth === null) depth = marker.y;
+
+        const truncated = surfaces.some(surface => {
+            if (surface.surfaceType !== 'SB') return false;
+            const sbDepth = this.depthAt(surface, x);
+            return sbDepth !== null && Math.abs(depth - sbDepth) <= this.TRUNCATION_TOLERANCE;
+        });
+        return truncated ? 'erosion' : 'hiatus';
+    },
+
+    /**
+     * One row per stratum, from its time up to the next stratum's time:
+     * deposition across its extent, hiatus or erosion beyond each end
+     */
+    buildRegions(strata, xMin, xMax) {
+        const regions = [];
+        const edge = this.TRACE_STEP / 2;
+
+        strata.forEach((stratum, i) => {
+            const next = strata[i + 1];
+            const t0 = stratum.time;
+            const t1 = next ? next.time : stratum.time + 1;
+
+            const add = (type, x1, x2) => {
+                if (!type || x2 - x1 <= edge) return;
+                regions.push({
+                    type: type,
+                    stratum: stratum.number,
+                    x1: x1,
+                    x2: x2,
+                    time0: t0,
+                    time1: t1,
+                    points: [
+                        { x: x1, y: t0 }, { x: x2, y: t0 },
+                        { x: x2, y: t1 }, { x: x1, y: t1 }
+                    ]
+                });
+            };
+
+            add(stratum.landwardEnd, xMin, stratum.x1);
+            add('deposition', stratum.x1, stratum.x2);
+            add(stratum.basinwardEnd, stratum.x2, xMax);
+        });
+
+        return regions;
+    },
+
+    /**
+     * Propose systems tracts from the traced bounding surfaces (SB/CC, BSFR,
+     * TS/MRS, MFS). Each surface is dated by the numbered strata directly
+     * above and below it (at their time in the draft); the tract between two successive surfaces follows
+     * from their types (BSFR-SB: FSST, SB-TS: LST, TS-MFS: TST, MFS-: HST).
+     * @param {Object} input - As for build()
+     * @returns {Object} { tracts: [{ tractType, time0, time1, lower, upper,
+     *   section: [points...], wheeler: points|null }], warnings }
+     */
+    proposeTracts(input) {
+        const draft = this.build(input);
+        const warnings = [...draft.warnings];
+        const surfaces = (input.surfaces || []).filter(s => Array.isArray(s.points) && s.points.length >= 2);
+        const timeOf = new Map(draft.strata.map(stratum => [stratum.number, stratum.time]));
+        const markers = (input.strata || [])
+            .filter(marker => timeOf.has(marker.number))
+            .map(marker => ({ ...marker, time: timeOf.get(marker.number) }));
+        const boundaries = this.dateBoundaries(surfaces, markers, warnings);
+
+        if (boundaries.length === 0 || draft.strata.length === 0) {
+            return { tracts: [], warnings: warnings };
+        }
+
+        const times = draft.strata.map(stratum => stratum.time);
+        const first = Math.min(...times);
+        const last = Math.max(...times) + 1;
+
+        // Intervals between successive boundaries, plus below the oldest and above the youngest
+        const intervals = [{ lower: null, upper: boundaries[0] }];
+        boundaries.forEach((boundary, i) => {
+            intervals.push({ lower: boundary, upper: boundaries[i + 1] || null });
+        });
+
+        const tracts = [];
+        intervals.forEach(({ lower, upper }) => {
+            const time0 = lower ? lower.time : first;
+            const time1 = upper ? upper.time : last;
+            if (time1 <= time0) return;
+
+            const tractType = lower
+                ? this.tractAbove(lower, upper)
+                : this.TRACT_BELOW[upper.types[0]];
+            const strata = draft.strata.filter(stratum => stratum.time >= time0 && stratum.time < time1);
+
+            tracts.push({
+                tractType: tractType,
+                time0: time0,
+                time1: time1,
+                lower: lower ? lower.types.join('/') : null,
+                upper: upper ? upper.types.join('/') : null,
+                section: lower && upper ? this.outlineBetween(lower, upper, input.xMin, input.xMax) : [],
+                wheeler: strata.length > 0 ? this.outlineStrata(strata, time1) : null
+            });
+        });
+
+        return { tracts: tracts, warnings: warnings };
+    },
+
+    /**
+     * Date each bounding surface by the strata around it. Surfaces dated
+     * alike form one boundary (e.g. an SB and its correlative conformity).
+     * @param {Array} markers - Strata number markers { number, time, x, y }
+     * @returns {Array} Boundaries { time, types (oldest first), surfaces }, oldest first
+     */
+    dateBoundaries(surfaces, markers, warnings) {
+        const boundaries = [];
+
+        surfaces.forEach(surface => {
+            const type = this.TRACT_BOUNDARIES[surface.surfaceType];
+            if (!type) return;
+
+            // Youngest stratum below and oldest stratum above the surface
+            let below = null;
+            let above = null;
+            markers.forEach(marker => {
+                const depth = this.depthAt(surface, marker.x);
+                if (depth === null) return;
+                if (marker.y > depth) {
+                    if (!below || marker.time > below.time) below = marker;
+                } else if (!above || marker.time < above.time) {
+                    above = marker;
+                }
+            });
+
+            if (!below && !above) {
+                warnings.push(`${surface.surfaceType} surface has no numbered strata above or below it and is left out`);
+                return;
+            }
+            if (below && above && above.time < below.time) {
+                warnings.push(`${surface.surfaceType} surface: stratum ${above.number} above it is older than stratum ${below.number} below it`);
+            }
+
+            // The surface sits at the base of the oldest stratum above it
+            const time = above ? above.time : below.time + 1;
+            let boundary = boundaries.find(b => b.time === time);
+            if (!boundary) {
+                boundary = { time: time, types: [], surfaces: [] };
+                boundaries.push(boundary);
+            }
+            if (!boundary.types.includes(type)) boundary.types.push(type);
+            boundary.surfaces.push(surface);
+        });
+
+        boundaries.forEach(boundary => {
+            boundary.types.sort((a, b) => this.BOUNDARY_ORDER.indexOf(a) - this.BOUNDARY_ORDER.indexOf(b));
+        });
+        return boundaries.sort((a, b) => a.time - b.time);
+    },
+
+    /**
+     * Tract between two boundaries, from the younger type of the lower one.
+     * Without a lowstand (SB directly below the MFS) the tract is transgressive.
+     */
+    tractAbove(lower, upper) {
+        const type = lower.types[lower.types.length - 1];
+        if (type === 'SB' && upper && upper.types[0] === 'MFS') return 'TST';
+        return this.TRACT_ABOVE[type];
+    },
+
+    /**
+     * Depth of a boundary: the first of its surfaces present at x
+     */
+    boundaryDepthAt(boundary, x) {
+        for (const surface of boundary.surfaces) {
+            const depth = this.depthAt(surface, x);
+            if (depth !== null) return depth;
+        }
+        return null;
+    },
+
+    /**
+     * Cross-section outlines of the body between two boundaries: one
+     * polygon per stretch where both are present and apart
+     */
+    outlineBetween(lower, upper, xMin, xMax) {
+        const step = (xMax - xMin) / this.TRACT_SAMPLES;
+        const polygons = [];
+        let run = [];
+
+        const close = () => {
+            if (run.length >= 2) {
+                const top = run.map(s => ({ x: s.x, y: s.top }));
+                const base = run.map(s => ({ x: s.x, y: s.base })).reverse();
+                polygons.push(this.simplifyOutline(top.concat(base)));
+            }
+            run = [];
+        };
+
+        for (let i = 0; i <= this.TRACT_SAMPLES; i++) {
+            const x = this.round(xMin + i * step);
+            const top = this.boundaryDepthAt(upper, x);
+            const base = this.boundaryDepthAt(lower, x);
+            if (top !== null && base !== null && base - top > this.PINCH_OUT_THICKNESS) {
+                run.push({ x: x, top: this.round(top), base: this.round(base) });
+            } else {
+                close();
+            }
+        }
+        close();
+
+        return polygons.filter(points => points.length >= 3);
+    },
+
+    /**
+     * Wheeler outline of a run of strata: each stratum's extent from its
+     * time up to the next one (the last up to time1)
+     */
+    outlineStrata(strata, time1) {
+        const rows = [...strata].sort((a, b) => a.time - b.time).map((stratum, i, sorted) => ({
+            x1: stratum.x1,
+            x2: stratum.x2,
+            t0: stratum.time,
+            t1: sorted[i + 1] ? sorted[i + 1].time : time1
+        }));
+
+        const left = [];
+        const right = [];
+        rows.forEach(row => {
+            left.push({ x: row.x1, y: row.t0 }, { x: row.x1, y: row.t1 });
+            right.push({ x: row.x2, y: row.t0 }, { x: row.x2, y: row.t1 });
+        });
+        return this.simplifyOutline(left.concat(right.reverse()));
+    },
+
+    /**
+     * Find the space between system tract polygons on the Wheeler diagram,
+     * within the time range and lateral reach of the tracts. Gaps next to a
+     * truncation termination line are erosional, all others are hiatuses.
+     * @param {Array} tracts - Polygons { points } with y = time
+     * @param {Array} lines - Termination lines { time, x1, x2, terminationType }
+     * @param {number} step - Time resolution of the scan
+     * @returns {Array} Gaps { regionType, time0, time1, points }
+     */
+    findGaps(tracts, lines, step = 0.5) {
+        const polygons = tracts.filter(t => Array.isArray(t.points) && t.points.length >= 3);
+        if (polygons.length === 0) return [];
+
+        const all = polygons.reduce((points, t) => points.concat(t.points), []);
+        const xMin = Math.min(...all.map(p => p.x));
+        const xMax = Math.max(...all.map(p => p.x));
+        const tMin = Math.min(...all.map(p => p.y));
+        const tMax = Math.max(...all.map(p => p.y));
+
+        // Scan row by row, collecting uncovered intervals and joining them
+        // with overlapping intervals of the row below
+        const gaps = [];
+        let open = [];
+        for (let t0 = tMin; t0 < tMax - 1e-9; t0 += step) {
+            const t1 = Math.min(t0 + step, tMax);
+            const covered = this.coveredIntervals(polygons, (t0 + t1) / 2);
+            const rowGaps = this.complementIntervals(covered, xMin, xMax)
+                .filter(gap => gap.x2 - gap.x1 > this.TRACE_STEP);
+
+            const next = [];
+            rowGaps.forEach(gap => {
+                let shape = open.find(s => !next.includes(s) &&
+                    gap.x1 < s.rows[s.rows.length - 1].x2 && gap.x2 > s.rows[s.rows.length - 1].x1);
+                if (!shape) {
+                    shape = { rows: [] };
+                    gaps.push(shape);
+                }
+                shape.rows.push({ x1: gap.x1, x2: gap.x2, t0: t0, t1: t1 });
+                next.push(shape);
+            });
+            open = next;
+        }
+
+        return gaps.map(shape => {
+            const rows = shape.rows;
+            const left = [];
+            const right = [];
+            rows.forEach(row => {
+                left.push({ x: row.x1, y: row.t0 }, { x: row.x1, y: row.t1 });
+                right.unshift({ x: row.x2, y: row.t0 }, { x: row.x2, y: row.t1 });
+            });
+            // Right side runs top to bottom: swap each row's pair back
+            for (let i = 0; i < right.length; i += 2) {
+                [right[i], right[i + 1]] = [right[i + 1], right[i]];
+            }
+
+            const time0 = rows[0].t0;
+            const time1 = rows[rows.length - 1].t1;
+            return {
+                regionType: this.isErosionalGap(rows, lines) ? 'erosion' : 'hiatus',
+                time0: this.round(time0),
+                time1: this.round(time1),
+                points: this.simplifyOutline(left.concat(right).map(p => ({ x: this.round(p.x), y: this.round(p.y) })))
+            };
+        });
+    },
+
+    /**
+     * Drop repeated points and points in the middle of straight runs
+     */
+    simplifyOutline(points) {
+        const unique = points.filter((p, i) => {
+            const prev = points[(i - 1 + points.length) % points.length];
+            return i === 0 || p.x !== prev.x || p.y !== prev.y;
+        });
+        return unique.filter((p, i) => {
+            const prev = unique[(i - 1 + unique.length) % unique.length];
+            const next = unique[(i + 1) % unique.length];
+            const cross = (p.x - prev.x) * (next.y - p.y) - (p.y - prev.y) * (next.x - p.x);
+            return Math.abs(cross) > 1e-9;
+        });
+    },
+
+    /**
+     * Lateral intervals covered by any polygon along a horizontal line
+     */
+    coveredIntervals(polygons, y) {
+        const intervals = [];
+        polygons.forEach(polygon => {
+            const xs = [];
+            const points = polygon.points;
+            for (let i = 0; i < points.length; i++) {
+                const a = points[i];
+                const b = points[(i + 1) % points.length];
+                if ((a.y <= y && b.y > y) || (b.y <= y && a.y > y)) {
+                    xs.push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y));
+                }
+            }
+            xs.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < xs.length; i += 2) {
+                intervals.push({ x1: xs[i], x2: xs[i + 1] });
+            }
+        });
+        return intervals.sort((a, b) => a.x1 - b.x1);
+    },
+
+    /**
+     * Parts of [xMin, xMax] not covered by the (sorted) intervals
+     */
+    complementIntervals(intervals, xMin, xMax) {
+        const gaps = [];
+        let x = xMin;
+        intervals.forEach(interval => {
+            if (interval.x1 > x) gaps.push({ x1: x, x2: interval.x1 });
+            x = Math.max(x, interval.x2);
+        });
+        if (x < xMax) gaps.push({ x1: x, x2: xMax });
+        return gaps;
+    },
+
+    isErosionalGap(rows, lines) {
+        return lines.some(line => {
+            if (line.terminationType !== 'truncation') return false;
+            const row = rows.find(r => line.time >= r.t0 - this.TIME_TOLERANCE && line.time <= r.t1 + this.TIME_TOLERANCE);
+            if (!row) return false;
+            const near = (x) => Math.abs(x - row.x1) <= 1 || Math.abs(x - row.x2) <= 1;
+            return near(line.x1) || near(line.x2);
+        });
+    },
+
+    /**
+     * Compare the draft with the student's termination lines
+     * @param {Object} draft - Result of build()
+     * @param {Array} lines - Student lines { label, time, x1, x2 } (world units)
+     * @returns {Object} { strata: [{ number, time, line, overlap }], unmatched: [labels] }
+     */
+    compare(draft, lines) {
+        const used = new Set();
+        const strata = draft.strata.map(stratum => {
+            let best = null;
+            let bestOverlap = 0;
+            lines.forEach(line => {
+                if (Math.abs(line.time - stratum.time) > this.TIME_TOLERANCE) return;
+                const overlap = this.overlap(stratum, line);
+                if (best === null || overlap > bestOverlap) {
+                    best = line;
+                    bestOverlap = overlap;
+                }
+            });
+            if (best) used.add(best);
+            return {
+                number: stratum.number,
+                time: stratum.time,
+                line: best ? best.label : null,
+                overlap: best ? this.round(bestOverlap) : 0
+            };
+        });
+
+        return {
+            strata: strata,
+            unmatched: lines.filter(line => !used.has(line)).map(line => line.label)
+        };
+    },
+
+    /**
+     * Overlap of two lateral ranges (intersection / union, 0-1)
+     */
+    overlap(a, b) {
+        const a1 = Math.min(a.x1, a.x2), a2 = Math.max(a.x1, a.x2);
+        const b1 = Math.min(b.x1, b.x2), b2 = Math.max(b.x1, b.x2);
+        const intersection = Math.max(0, Math.min(a2, b2) - Math.max(a1, b1));
+        const union = Math.max(a2, b2) - Math.min(a1, b1);
+        return union > 0 ? intersection / union : 0;
+    },
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WheelerBuilder;
+}
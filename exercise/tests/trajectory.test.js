@@ -0,0 +1,31 @@
+/**
+ * Shoreline trajectory classification (run with: node --test exercise/tests)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ShorelineTrajectory = require('../js/trajectory.js');
+
+const classify = (from, to) => ShorelineTrajectory.classifySegment(from, to).classification;
+
+test('basinward segments', () => {
+    assert.strictEqual(classify({ x: 10, y: 100 }, { x: 12, y: 99 }), 'ascending-regressive');
+    assert.strictEqual(classify({ x: 10, y: 100 }, { x: 12, y: 110 }), 'descending-regressive');
+    assert.strictEqual(classify({ x: 10, y: 100 }, { x: 10.1, y: 80 }), 'aggradational');
+});
+
+test('landward segments are transgressive', () => {
+    assert.strictEqual(classify({ x: 12, y: 100 }, { x: 10, y: 99 }), 'transgressive');
+});
+
+test('landward segment rising steeply is transgressive, not aggradational', () => {
+    const result = ShorelineTrajectory.classifySegment({ x: 10.1, y: 100 }, { x: 10, y: 80 });
+    assert.ok(result.angle >= ShorelineTrajectory.AGGRADATION_ANGLE);
+    assert.strictEqual(result.classification, 'transgressive');
+});
+
+test('vertical segments are not transgressive', () => {
+    assert.strictEqual(classify({ x: 10, y: 100 }, { x: 10, y: 80 }), 'aggradational');
+    assert.strictEqual(classify({ x: 10, y: 100 }, { x: 10, y: 120 }), 'descending-regressive');
+    assert.notStrictEqual(classify({ x: 10, y: 100 }, { x: 10, y: 100 }), 'transgressive');
+});